@@ -7,6 +7,16 @@ const state = {
   settings: {},
   conversionResults: [],
   startTime: null,
+  chapterPreviews: [],
+  passwordPrompts: [],
+  // File whose cover is being picked, and how far its thumbnails have loaded
+  coverPicker: null,
+  // File whose book details are being edited
+  metadataEditor: null,
+  // Health checks of added files, run one at a time
+  healthChecks: Promise.resolve(),
+  // Conversions running in the main process, keyed by job id
+  activeJobs: new Map(),
 };
 
 // DOM Elements
@@ -95,6 +105,7 @@ function setupEventListeners() {
   // Conversion
   document.getElementById("convert-btn")?.addEventListener("click", startConversion);
   document.getElementById("cancel-conversion")?.addEventListener("click", cancelConversion);
+  document.getElementById("preview-crop")?.addEventListener("click", previewCrop);
   document.getElementById("new-conversion")?.addEventListener("click", resetToStart);
 
   // Settings
@@ -108,6 +119,10 @@ function setupEventListeners() {
   document
     .getElementById("change-default-output")
     ?.addEventListener("click", changeDefaultOutputDirectory);
+  document.getElementById("rescan-backends")?.addEventListener("click", () => {
+    refreshBackends();
+    refreshRenderers();
+  });
 
   // Modal close buttons
   document.querySelectorAll(".modal-close").forEach((btn) => {
@@ -126,6 +141,44 @@ function setupEventListeners() {
     document.getElementById("default-quality-value").textContent = e.target.value + "%";
   });
 
+  document.getElementById("chapter-confidence")?.addEventListener("input", (e) => {
+    document.getElementById("chapter-confidence-value").textContent = e.target.value;
+  });
+
+  // Chapter preview
+  document
+    .getElementById("chapter-preview-accept")
+    ?.addEventListener("click", () => answerChapterPreview(true));
+  document
+    .getElementById("chapter-preview-skip")
+    ?.addEventListener("click", () => answerChapterPreview(false));
+
+  // Password prompt
+  document
+    .getElementById("password-submit")
+    ?.addEventListener("click", () => answerPasswordPrompt(true));
+  document
+    .getElementById("password-skip")
+    ?.addEventListener("click", () => answerPasswordPrompt(false));
+  document.getElementById("pdf-password")?.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") answerPasswordPrompt(true);
+  });
+
+  // Cover picker
+  document.getElementById("cover-load-more")?.addEventListener("click", loadCoverThumbnails);
+  document
+    .getElementById("cover-first-page")
+    ?.addEventListener("click", () => setCover({ coverSource: "first-page" }));
+  document
+    .getElementById("cover-none")
+    ?.addEventListener("click", () => setCover({ coverSource: "none" }));
+  document.getElementById("cover-choose-image")?.addEventListener("click", chooseCoverImage);
+
+  // Metadata editor
+  document.getElementById("metadata-add-author")?.addEventListener("click", () => addAuthorRow());
+  document.getElementById("metadata-reset")?.addEventListener("click", resetMetadata);
+  document.getElementById("metadata-save")?.addEventListener("click", saveMetadata);
+
   // OCR toggle
   document.getElementById("enable-ocr")?.addEventListener("change", (e) => {
     const ocrContainer = document.getElementById("ocr-language-container");
@@ -200,6 +253,17 @@ function setupMenuListeners() {
   window.electronAPI.onMenuAction("settings", () => openModal("settings-modal"));
   window.electronAPI.onMenuAction("about", () => openModal("about-modal"));
 
+  window.electronAPI.onChapterPreview((preview) => {
+    // Conversions run concurrently, so previews are shown one at a time
+    state.chapterPreviews.push(preview);
+    if (state.chapterPreviews.length === 1) showChapterPreview();
+  });
+
+  window.electronAPI.onPasswordRequest((request) => {
+    state.passwordPrompts.push(request);
+    if (state.passwordPrompts.length === 1) showPasswordPrompt();
+  });
+
   window.electronAPI.onFileOpened((filePath) => {
     handleExternalFile(filePath);
   });
@@ -442,6 +506,7 @@ function addFileToList(file) {
 
   state.files.push(file);
   renderFileList();
+  queueHealthCheck(file);
 }
 
 window.removeFile = function (fileId) {
@@ -471,8 +536,20 @@ function renderFileList() {
       <div class="file-info">
         <div class="file-name" title="${file.name}">${file.name}</div>
         <div class="file-size">${window.electronAPI ? window.electronAPI.formatFileSize(file.size) : file.size}</div>
+        <div class="file-health"></div>
       </div>
       <div class="file-status">
+        <input
+          type="text"
+          class="file-page-range"
+          placeholder="All pages"
+          aria-label="Pages to convert"
+          spellcheck="false"
+        />
+        <button class="btn btn-text file-metadata" type="button">
+          ${file.metadata ? "Details: edited" : "Details"}
+        </button>
+        <button class="btn btn-text file-cover" type="button"></button>
         <button class="file-remove" onclick="window.removeFile(${file.id})">
           <svg width="20" height="20" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
             <line x1="18" y1="6" x2="6" y2="18"/>
@@ -481,6 +558,20 @@ function renderFileList() {
         </button>
       </div>
     `;
+    // Set as a value so whatever was typed is never parsed as markup
+    const pageRange = fileItem.querySelector(".file-page-range");
+    pageRange.value = file.pageRange || "";
+    pageRange.addEventListener("input", (e) => {
+      file.pageRange = e.target.value.trim();
+    });
+    const cover = fileItem.querySelector(".file-cover");
+    cover.textContent = getCoverLabel(file.cover);
+    cover.addEventListener("click", () => openCoverPicker(file));
+    fileItem
+      .querySelector(".file-metadata")
+      .addEventListener("click", () => openMetadataEditor(file));
+    fileItem.dataset.fileId = file.id;
+    renderFileHealth(fileItem.querySelector(".file-health"), file.health);
     elements.fileList.appendChild(fileItem);
   });
 
@@ -495,6 +586,112 @@ function updateFileStats() {
     `${totalFiles} ${totalFiles === 1 ? "file" : "files"} selected`;
   document.getElementById("total-size").textContent =
     `${window.electronAPI ? window.electronAPI.formatFileSize(totalSize) : totalSize} total`;
+
+  // Problems found by the health checks, so they are seen before the batch is started
+  const counts = { checking: 0, warning: 0, error: 0 };
+  state.files.forEach((file) => {
+    const status = file.health ? describeHealth(file.health).status : "checking";
+    if (status in counts) counts[status]++;
+  });
+  const problems = [
+    counts.error && `${counts.error} unreadable`,
+    counts.warning && `${counts.warning} need attention`,
+    counts.checking && `${counts.checking} being checked`,
+  ].filter(Boolean);
+  const health = document.getElementById("files-health");
+  health.textContent = problems.join(" • ");
+  health.classList.toggle("hidden", problems.length === 0);
+}
+
+// File health
+function queueHealthCheck(file) {
+  state.healthChecks = state.healthChecks.then(async () => {
+    if (!state.files.includes(file)) return; // Removed while waiting its turn
+    file.health = await window.electronAPI
+      .inspectPDF(file.path)
+      .catch((error) => ({ success: false, error: error.message }));
+    const element = elements.fileList.querySelector(
+      `[data-file-id="${file.id}"] .file-health`
+    );
+    if (element) renderFileHealth(element, file.health);
+    updateFileStats();
+  });
+}
+
+function describeHealth(result) {
+  if (result.locked) {
+    return {
+      status: "warning",
+      summary: "Password protected",
+      findings: ["The password is asked for when the file is converted."],
+    };
+  }
+  if (!result.success) {
+    return { status: "error", summary: "Cannot be read", findings: [result.error] };
+  }
+
+  const { health } = result;
+  const findings = [...health.damage];
+  if (health.repair === "resaved") {
+    findings.push("Repaired by re-saving it; the original file is left untouched.");
+  } else if (health.repair) {
+    findings.push(
+      "Repaired by rebuilding its cross-reference table; the original file is left untouched."
+    );
+  }
+  if (health.fonts?.notEmbedded.length > 0) {
+    findings.push(
+      `${health.fonts.notEmbedded.length} of ${health.fonts.count} fonts are not embedded and ` +
+        `are substituted: ${health.fonts.notEmbedded.join(", ")}`
+    );
+  }
+  if (health.scannedRatio > 0) {
+    findings.push(
+      `${Math.round(health.scannedRatio * 100)}% of sampled pages have little or no text` +
+        (health.scannedRatio >= 0.5 ? " and will be read with OCR if it is enabled." : ".")
+    );
+  }
+
+  const summary = [
+    `${health.pageCount} ${health.pageCount === 1 ? "page" : "pages"}`,
+    health.version && `PDF ${health.version}`,
+    health.encrypted && "Encrypted",
+    health.scannedRatio >= 0.5 && "Scanned",
+    health.damage.length > 0 && (health.repair ? "Damaged, will be repaired" : "Damaged"),
+  ].filter(Boolean);
+  return {
+    status: health.damage.length > 0 ? "warning" : "ok",
+    summary: summary.join(" • "),
+    findings,
+  };
+}
+
+function renderFileHealth(element, result) {
+  element.replaceChildren();
+  if (!result) {
+    element.className = "file-health";
+    element.textContent = "Checking file...";
+    return;
+  }
+
+  // Findings include error messages and font names, so they are set as text
+  const { status, summary, findings } = describeHealth(result);
+  element.className = `file-health health-${status}`;
+  if (findings.length === 0) {
+    element.textContent = summary;
+    return;
+  }
+  const details = document.createElement("details");
+  const summaryElement = document.createElement("summary");
+  summaryElement.textContent = summary;
+  const list = document.createElement("ul");
+  findings.forEach((finding) => {
+    const item = document.createElement("li");
+    item.textContent = finding;
+    list.appendChild(item);
+  });
+  details.append(summaryElement, list);
+  element.appendChild(details);
 }
 
 // UI updates
@@ -532,12 +729,22 @@ async function startConversion() {
     grayscale: document.getElementById("grayscale")?.checked,
     outputDirectory: document.getElementById("output-dir").value,
     outputFormat: document.getElementById("output-format").value,
+    layoutMode: document.getElementById("layout-mode")?.value || "fixed",
+    deviceProfile: document.getElementById("device-profile")?.value || null,
+    pageRange: document.getElementById("page-range")?.value.trim() || "",
+    pageSplit: document.getElementById("page-split")?.value || "none",
+    pageSpread: document.getElementById("page-spread")?.value || "none",
+    language: document.getElementById("book-language")?.value || "auto",
+    ...getCropSettings(),
     // Advanced options
     enableOCR: document.getElementById("enable-ocr")?.checked || false,
     ocrLanguages: Array.from(document.getElementById("ocr-language")?.selectedOptions || []).map(
       (option) => option.value
     ) || ["eng"],
     autoDetectScanned: document.getElementById("auto-detect-scanned")?.checked !== false,
+    detectChapters: document.getElementById("detect-chapters")?.checked !== false,
+    previewChapters: document.getElementById("preview-chapters")?.checked || false,
+    chapterConfidence: (parseInt(document.getElementById("chapter-confidence")?.value) || 60) / 100,
     processingPriority: document.getElementById("processing-priority")?.value || "normal",
     maxFileSize: parseInt(document.getElementById("max-file-size")?.value) || 650,
     // Batch processing options
@@ -638,6 +845,11 @@ function updateProgressItem(itemId, percentage, status, stage = null) {
     if (progressStage) progressStage.textContent = "Failed";
     if (progressPercentage) progressPercentage.textContent = "Error";
     item.classList.add("error");
+  } else if (status === "Cancelled") {
+    progressStatus.innerHTML = "";
+    if (progressStage) progressStage.textContent = "Cancelled";
+    if (progressPercentage) progressPercentage.textContent = "";
+    item.classList.add("cancelled");
   } else {
     if (progressPercentage) progressPercentage.textContent = `${percentage}%`;
     if (progressTime) {
@@ -689,39 +901,68 @@ window.retryConversion = async function (fileId) {
       grayscale: document.getElementById("grayscale")?.checked,
       outputDirectory: document.getElementById("output-dir").value,
       outputFormat: document.getElementById("output-format").value,
+      layoutMode: document.getElementById("layout-mode")?.value || "fixed",
+      deviceProfile: document.getElementById("device-profile")?.value || null,
+      pageRange: file.pageRange || document.getElementById("page-range")?.value.trim() || "",
+      pageSplit: document.getElementById("page-split")?.value || "none",
+      pageSpread: document.getElementById("page-spread")?.value || "none",
+      language: document.getElementById("book-language")?.value || "auto",
+      ...getCropSettings(),
+      ...file.cover,
+      metadata: file.metadata || null,
       enableOCR: document.getElementById("enable-ocr")?.checked || false,
       ocrLanguages: Array.from(document.getElementById("ocr-language")?.selectedOptions || []).map(
         (option) => option.value
       ) || ["eng"],
       autoDetectScanned: document.getElementById("auto-detect-scanned")?.checked !== false,
+      detectChapters: document.getElementById("detect-chapters")?.checked !== false,
+      previewChapters: document.getElementById("preview-chapters")?.checked || false,
+      chapterConfidence:
+        (parseInt(document.getElementById("chapter-confidence")?.value) || 60) / 100,
       processingPriority: document.getElementById("processing-priority")?.value || "normal",
       maxFileSize: parseInt(document.getElementById("max-file-size")?.value) || 650,
     };
 
-    const result = await window.electronAPI.convertPDF({
-      inputPath: file.path,
-      outputPath: null,
-      settings: settings,
-    });
-
-    if (result.success) {
+    const jobId = `retry-${fileId}-${Date.now()}`;
+    state.activeJobs.set(jobId, file);
+    const result = await window.electronAPI
+      .convertPDF({
+        jobId,
+        inputPath: file.path,
+        outputPath: null,
+        settings: settings,
+      })
+      .finally(() => state.activeJobs.delete(jobId));
+
+    if (result.cancelled) {
+      state.conversionResults.push({ ...file, success: false, cancelled: true, log: result.log });
+      updateProgressItem(`progress-${fileId}`, 0, "Cancelled");
+    } else if (result.success) {
       state.conversionResults.push({
         ...file,
         success: true,
         outputPath: result.outputPath,
         outputSize: result.outputSize,
         compressionRatio: result.compressionRatio,
+        backend: result.backend,
+        sizeTarget: result.sizeTarget,
+        health: result.health,
+        validation: result.validation,
+        language: result.language,
+        metadataSuggestions: result.metadataSuggestions,
+        log: result.log,
       });
       updateProgressItem(`progress-${fileId}`, 100, "Complete");
       showToast("Retry successful", `${file.name} converted successfully`, "success");
     } else {
-      throw new Error(result.error);
+      throw Object.assign(new Error(result.error), { log: result.log });
     }
   } catch (error) {
       state.conversionResults.push({
         ...file,
         success: false,
       error: error.message,
+      log: error.log,
     });
     updateProgressItem(`progress-${fileId}`, 100, "Failed");
     showToast("Retry failed", `Failed to convert ${file.name}: ${error.message}`, "error");
@@ -746,8 +987,8 @@ async function convertFilesBatch(files, settings) {
   let fileIndex = 0;
 
   // Function to start a new conversion job
-  const startConversionJob = async (file, index) => {
-    const jobId = `job-${index}`;
+  const startConversionJob = async (file, jobId) => {
+    state.activeJobs.set(jobId, file);
 
     try {
       // Check if file already exists and should be skipped
@@ -767,28 +1008,47 @@ async function convertFilesBatch(files, settings) {
       }
 
       const result = await window.electronAPI.convertPDF({
+        jobId,
         inputPath: file.path,
         outputPath: null,
-        settings: { ...settings, concurrentJobs: 1 }, // Single job for individual conversion
+        // Single job for individual conversion, with the file's own pages if it has any
+        settings: {
+          ...settings,
+          concurrentJobs: 1,
+          pageRange: file.pageRange || settings.pageRange,
+          ...file.cover,
+          metadata: file.metadata || null,
+        },
       });
 
-      if (result.success) {
+      if (result.cancelled) {
+        results.push({ ...file, success: false, cancelled: true, log: result.log });
+        updateProgressItem(`progress-${file.id}`, 0, "Cancelled");
+      } else if (result.success) {
         results.push({
           ...file,
           success: true,
           outputPath: result.outputPath,
           outputSize: result.outputSize,
           compressionRatio: result.compressionRatio,
+          backend: result.backend,
+          sizeTarget: result.sizeTarget,
+          health: result.health,
+          validation: result.validation,
+          language: result.language,
+          metadataSuggestions: result.metadataSuggestions,
+          log: result.log,
         });
         updateProgressItem(`progress-${file.id}`, 100, "Complete");
       } else {
-        throw new Error(result.error);
+        throw Object.assign(new Error(result.error), { log: result.log });
     }
   } catch (error) {
       results.push({
       ...file,
       success: false,
       error: error.message,
+      log: error.log,
     });
       updateProgressItem(`progress-${file.id}`, 100, "Failed");
 
@@ -799,6 +1059,7 @@ async function convertFilesBatch(files, settings) {
       }
     } finally {
       activePromises.delete(jobId);
+      state.activeJobs.delete(jobId);
     }
   };
 
@@ -807,8 +1068,10 @@ async function convertFilesBatch(files, settings) {
     // Start new jobs up to the concurrent limit
     while (activePromises.size < concurrentJobs && fileIndex < files.length && state.converting) {
       const file = files[fileIndex];
-      const jobPromise = startConversionJob(file, fileIndex);
-      activePromises.set(`job-${fileIndex}`, jobPromise);
+      // Unique across batches, since the main process tracks jobs by this id
+      const jobId = `job-${state.startTime}-${fileIndex}`;
+      const jobPromise = startConversionJob(file, jobId);
+      activePromises.set(jobId, jobPromise);
       fileIndex++;
 
       // Add delay between starting jobs
@@ -856,10 +1119,27 @@ function updateProgressSummary(completed) {
   document.getElementById("progress-current").textContent = completed.toString();
 }
 
-function cancelConversion() {
+async function cancelConversion() {
+  // Stops queueing new files; the batch shows results once running jobs have wound down
   state.converting = false;
+
+  // Chapter previews and password prompts for cancelled jobs no longer need an answer
+  state.chapterPreviews = [];
+  closeModal("chapter-preview-modal");
+  const asking = state.passwordPrompts[0];
+  state.passwordPrompts = state.passwordPrompts.filter(
+    (request) => !state.activeJobs.has(request.jobId)
+  );
+  if (asking && !state.passwordPrompts.includes(asking)) {
+    document.getElementById("pdf-password").value = "";
+    closeModal("password-modal");
+    showPasswordPrompt();
+  }
+
+  await Promise.all(
+    [...state.activeJobs.keys()].map((jobId) => window.electronAPI?.cancelConversion(jobId))
+  );
   showToast("Conversion cancelled", "The conversion process has been stopped", "info");
-  showResults();
 }
 
 // Conversion progress handler
@@ -916,9 +1196,21 @@ function renderResults() {
 
   state.conversionResults.forEach((result) => {
     const resultItem = document.createElement("div");
-    resultItem.className = `result-item ${result.success ? "" : "error"}`;
+    resultItem.className = `result-item ${result.success ? "" : result.cancelled ? "cancelled" : "error"}`;
 
-    if (result.success) {
+    if (result.cancelled) {
+      resultItem.innerHTML = `
+        <div class="result-icon cancelled">
+          <svg width="20" height="20" fill="currentColor" viewBox="0 0 24 24">
+            <path d="M12,2A10,10 0 1,0 22,12A10,10 0 0,0 12,2M4,12A8,8 0 0,1 12,4C13.85,4 15.55,4.63 16.9,5.69L5.69,16.9C4.63,15.55 4,13.85 4,12M12,20C10.15,20 8.45,19.37 7.1,18.31L18.31,7.1C19.37,8.45 20,10.15 20,12A8,8 0 0,1 12,20Z"/>
+          </svg>
+        </div>
+        <div class="result-info">
+          <div class="result-name">${result.name}</div>
+          <div class="result-details">Cancelled</div>
+        </div>
+      `;
+    } else if (result.success) {
       resultItem.innerHTML = `
         <div class="result-icon success">
           <svg width="20" height="20" fill="currentColor" viewBox="0 0 24 24">
@@ -928,7 +1220,7 @@ function renderResults() {
         <div class="result-info">
           <div class="result-name">${result.name}</div>
           <div class="result-details">
-            Size reduced by ${result.compressionRatio}% • ${window.electronAPI ? window.electronAPI.formatFileSize(result.outputSize) : result.outputSize}
+            Size reduced by ${result.compressionRatio}% • ${window.electronAPI ? window.electronAPI.formatFileSize(result.outputSize) : result.outputSize}${result.sizeTarget ? ` • ${formatSizeTarget(result.sizeTarget)}` : ""}${result.backend ? ` • ${formatBackend(result.backend)}` : ""}${result.health?.repair ? " • Repaired" : ""}${result.language ? ` • Language: ${result.language}` : ""}
           </div>
         </div>
         <div class="result-actions">
@@ -966,10 +1258,123 @@ function renderResults() {
       `;
     }
 
+    if (result.validation) {
+      resultItem
+        .querySelector(".result-info")
+        .appendChild(createValidationDetails(result.validation));
+    }
+    if (result.metadataSuggestions) {
+      resultItem.querySelector(".result-info").appendChild(createSuggestionDetails(result));
+    }
+    if (result.log?.length) {
+      resultItem.querySelector(".result-info").appendChild(createLogDetails(result.log));
+    }
+
     elements.resultsList.appendChild(resultItem);
   });
 }
 
+function createLogDetails(log) {
+  // Converter output is untrusted text, so it is never parsed as markup
+  const details = document.createElement("details");
+  details.className = "result-log";
+  const summary = document.createElement("summary");
+  summary.textContent = `Converter output (${log.length} lines)`;
+  const output = document.createElement("pre");
+  output.textContent = log.join("\n");
+  details.append(summary, output);
+  return details;
+}
+
+// EPUB check findings, one per line in the same form epubcheck prints them
+function createValidationDetails({ errors, warnings }) {
+  const messages = [...errors, ...warnings];
+  if (messages.length === 0) {
+    const passed = document.createElement("div");
+    passed.className = "result-log result-validation";
+    passed.textContent = "EPUB check passed";
+    return passed;
+  }
+
+  const details = document.createElement("details");
+  details.className = `result-log result-validation${errors.length > 0 ? " invalid" : ""}`;
+  const summary = document.createElement("summary");
+  summary.textContent =
+    `EPUB check: ${errors.length} ${errors.length === 1 ? "error" : "errors"}, ` +
+    `${warnings.length} ${warnings.length === 1 ? "warning" : "warnings"}`;
+  const output = document.createElement("pre");
+  output.textContent = messages
+    .map((m) => `${m.severity.toUpperCase()}(${m.code}): ${m.path}: ${m.message}`)
+    .join("\n");
+  details.append(summary, output);
+  return details;
+}
+
+// Book details found in the document text, offered for the file's details editor
+function createSuggestionDetails(result) {
+  const { title, authors, publisher, isbns, doi } = result.metadataSuggestions;
+  const found = [
+    title && `Title: ${title}`,
+    authors && `Authors: ${authors.join(", ")}`,
+    publisher && `Publisher: ${publisher}`,
+    ...(isbns || []).map(({ isbn, qualifier }) =>
+      qualifier ? `ISBN: ${isbn} (${qualifier})` : `ISBN: ${isbn}`
+    ),
+    doi && `DOI: ${doi}`,
+  ].filter(Boolean);
+
+  // Found text comes from the document, so it is never parsed as markup
+  const details = document.createElement("details");
+  details.className = "result-log result-suggestions";
+  const summary = document.createElement("summary");
+  summary.textContent = `Found in the text: ${found.length} book details`;
+  const list = document.createElement("ul");
+  found.forEach((text) => {
+    const item = document.createElement("li");
+    item.textContent = text;
+    list.appendChild(item);
+  });
+  const apply = document.createElement("button");
+  apply.type = "button";
+  apply.className = "btn btn-text";
+  apply.textContent = "Use These Details";
+  apply.addEventListener("click", () => applySuggestions(result));
+  details.append(summary, list, apply);
+  return details;
+}
+
+function applySuggestions(result) {
+  const file = state.files.find((f) => f.id === result.id);
+  if (!file) {
+    showToast("File not found", `${result.name} is no longer in the list`, "error");
+    return;
+  }
+  const { title, authors, publisher, isbn, doi } = result.metadataSuggestions;
+  file.metadata = { ...file.metadata };
+  if (title) file.metadata.title = title;
+  if (authors) file.metadata.authors = authors.map((name) => ({ name, sortAs: "" }));
+  if (publisher) file.metadata.publisher = publisher;
+  if (isbn) file.metadata.isbn = isbn;
+  if (doi) file.metadata.doi = doi;
+  renderFileList();
+  showToast("Details saved", `Convert ${file.name} again to use them`, "success");
+}
+
+function formatSizeTarget({ targetSize, met }) {
+  const target = window.electronAPI ? window.electronAPI.formatFileSize(targetSize) : targetSize;
+  return met ? `Within ${target} target` : `Over ${target} target`;
+}
+
+function formatBackend(backend) {
+  const names = {
+    native: "Built-in writer",
+    calibre: "Calibre",
+    kindlegen: "kindlegen",
+    custom: "Custom command",
+  };
+  return names[backend] || backend;
+}
+
 function updateResultsSummary(duration) {
   const totalConverted = state.conversionResults.filter((r) => r.success).length;
   const initialSize = state.conversionResults.reduce((sum, r) => sum + (r.size || 0), 0);
@@ -1030,11 +1435,17 @@ function applySettings() {
   document.getElementById("preserve-annotations").checked =
     state.settings.preserveAnnotations !== false;
   document.getElementById("output-format").value = state.settings.outputFormat || "epub";
+  document.getElementById("layout-mode").value = state.settings.layoutMode || "fixed";
 
   // Advanced options
   document.getElementById("enable-ocr").checked = state.settings.enableOCR || false;
   document.getElementById("auto-detect-scanned").checked =
     state.settings.autoDetectScanned !== false;
+  document.getElementById("detect-chapters").checked = state.settings.detectChapters !== false;
+  document.getElementById("preview-chapters").checked = state.settings.previewChapters || false;
+  const chapterConfidence = Math.round((state.settings.chapterConfidence ?? 0.6) * 100);
+  document.getElementById("chapter-confidence").value = chapterConfidence;
+  document.getElementById("chapter-confidence-value").textContent = chapterConfidence;
   document.getElementById("processing-priority").value =
     state.settings.processingPriority || "normal";
   document.getElementById("max-file-size").value = state.settings.maxFileSize || 650;
@@ -1074,6 +1485,20 @@ function applySettings() {
   document.getElementById("default-processing-priority").value =
     state.settings.defaultProcessingPriority || "normal";
 
+  // Converter backends
+  const converterPaths = state.settings.converterPaths || {};
+  const converterArgs = state.settings.converterArgs || {};
+  document.getElementById("mobi-backend").value = state.settings.mobiBackend || "native";
+  document.getElementById("azw3-backend").value = state.settings.azw3Backend || "native";
+  document.getElementById("calibre-path").value = converterPaths.calibre || "";
+  document.getElementById("kindlegen-path").value = converterPaths.kindlegen || "";
+  document.getElementById("custom-converter-path").value = converterPaths.custom || "";
+  document.getElementById("custom-converter-args").value =
+    state.settings.customConverterArgs || "{input} {output}";
+  document.getElementById("mobi-converter-args").value = converterArgs.mobi || "";
+  document.getElementById("azw3-converter-args").value = converterArgs.azw3 || "";
+  document.getElementById("pdf-renderer").value = state.settings.pdfRenderer || "auto";
+
   // Update convert button text
   updateConvertButtonText();
 }
@@ -1094,6 +1519,17 @@ async function saveSettings() {
     ).map((option) => option.value) || ["eng"],
     defaultProcessingPriority:
       document.getElementById("default-processing-priority")?.value || "normal",
+    // Converter backends
+    mobiBackend: document.getElementById("mobi-backend").value,
+    azw3Backend: document.getElementById("azw3-backend").value,
+    converterPaths: getConverterPaths(),
+    converterArgs: {
+      mobi: document.getElementById("mobi-converter-args").value.trim(),
+      azw3: document.getElementById("azw3-converter-args").value.trim(),
+    },
+    customConverterArgs:
+      document.getElementById("custom-converter-args").value.trim() || "{input} {output}",
+    pdfRenderer: document.getElementById("pdf-renderer").value,
   };
 
   await window.electronAPI.saveSettings(newSettings);
@@ -1107,6 +1543,7 @@ async function resetSettings() {
   if (!window.electronAPI) return;
   const defaultSettings = {
     outputFormat: "epub",
+    layoutMode: "fixed",
     imageQuality: 85,
     imageMaxWidth: 1200,
     preserveAnnotations: true,
@@ -1119,10 +1556,19 @@ async function resetSettings() {
     enableOCR: false,
     ocrLanguages: ["eng"],
     autoDetectScanned: true,
+    detectChapters: true,
+    previewChapters: false,
+    chapterConfidence: 0.6,
     processingPriority: "normal",
     maxFileSize: 650,
     defaultOcrLanguages: ["eng"],
     defaultProcessingPriority: "normal",
+    mobiBackend: "native",
+    azw3Backend: "native",
+    converterPaths: {},
+    converterArgs: {},
+    customConverterArgs: "{input} {output}",
+    pdfRenderer: "auto",
   };
 
   await window.electronAPI.saveSettings(defaultSettings);
@@ -1130,6 +1576,68 @@ async function resetSettings() {
   showToast("Settings reset", "Settings have been reset to defaults", "info");
 }
 
+function getConverterPaths() {
+  return {
+    calibre: document.getElementById("calibre-path").value.trim(),
+    kindlegen: document.getElementById("kindlegen-path").value.trim(),
+    custom: document.getElementById("custom-converter-path").value.trim(),
+  };
+}
+
+async function refreshBackends() {
+  if (!window.electronAPI) return;
+  const list = document.getElementById("backend-list");
+  list.textContent = "Looking for converters...";
+
+  // Scan with the paths as typed, so a new location can be checked before saving
+  const backends = await window.electronAPI.detectConverterBackends(getConverterPaths());
+  list.innerHTML = "";
+  backends.forEach((backend) => {
+    const item = document.createElement("div");
+    item.className = "backend-item";
+    item.innerHTML = `
+      <span class="backend-name"></span>
+      <span class="backend-status ${backend.found ? "found" : ""}"></span>
+      <span class="backend-path"></span>
+    `;
+    item.querySelector(".backend-name").textContent =
+      `${backend.name} (${backend.formats.join(", ").toUpperCase()})`;
+    item.querySelector(".backend-status").textContent = backend.found
+      ? `Found${backend.version ? ` • v${backend.version}` : ""}`
+      : "Not found";
+    item.querySelector(".backend-path").textContent =
+      backend.path || (backend.id === "custom" ? "Set a command below" : "Not on PATH");
+    list.appendChild(item);
+  });
+}
+
+async function refreshRenderers() {
+  if (!window.electronAPI) return;
+  const list = document.getElementById("renderer-list");
+  list.textContent = "Checking PDF renderers...";
+
+  const renderers = await window.electronAPI.detectPDFRenderers();
+  list.innerHTML = "";
+  renderers.forEach((renderer) => {
+    const item = document.createElement("div");
+    item.className = "backend-item";
+    item.innerHTML = `
+      <span class="backend-name"></span>
+      <span class="backend-status ${renderer.found ? "found" : ""}"></span>
+      <span class="backend-path"></span>
+    `;
+    item.querySelector(".backend-name").textContent = renderer.name;
+    item.querySelector(".backend-status").textContent = renderer.found ? "Available" : "Unavailable";
+    item.querySelector(".backend-path").textContent =
+      renderer.path ||
+      { libvips: "Needs a sharp build with PDF support", pdfjs: "Bundled with the app" }[
+        renderer.id
+      ] ||
+      "Not on PATH";
+    list.appendChild(item);
+  });
+}
+
 async function changeOutputDirectory() {
   if (!window.electronAPI) {
     showToast("Error", "Application API not available", "error");
@@ -1193,9 +1701,10 @@ async function changeDefaultOutputDirectory() {
 // Preset configurations for different devices and use cases
 const presets = {
   "kindle-scribe": {
+    deviceProfile: "kindle-scribe",
     outputFormat: "epub",
     imageQuality: 90,
-    imageMaxWidth: 1440,
+    imageMaxWidth: 1860,
     compressionLevel: "balanced",
     optimizeForKindle: true,
     preserveAnnotations: true,
@@ -1204,6 +1713,7 @@ const presets = {
     maxFileSize: 650,
   },
   "kindle-paperwhite": {
+    deviceProfile: "kindle-paperwhite",
     outputFormat: "epub",
     imageQuality: 85,
     imageMaxWidth: 1236,
@@ -1215,9 +1725,10 @@ const presets = {
     maxFileSize: 650,
   },
   "kindle-oasis": {
+    deviceProfile: "kindle-oasis",
     outputFormat: "epub",
     imageQuality: 95,
-    imageMaxWidth: 1680,
+    imageMaxWidth: 1264,
     compressionLevel: "minimum",
     optimizeForKindle: true,
     preserveAnnotations: true,
@@ -1226,9 +1737,10 @@ const presets = {
     maxFileSize: 650,
   },
   "kindle-basic": {
+    deviceProfile: "kindle-basic",
     outputFormat: "mobi",
     imageQuality: 75,
-    imageMaxWidth: 800,
+    imageMaxWidth: 600,
     compressionLevel: "maximum",
     optimizeForKindle: true,
     preserveAnnotations: false,
@@ -1307,6 +1819,7 @@ function applyPreset(e) {
 
   // Apply preset settings to the UI
   document.getElementById("output-format").value = config.outputFormat;
+  document.getElementById("device-profile").value = config.deviceProfile || "";
   document.getElementById("image-quality").value = config.imageQuality;
   document.getElementById("quality-value").textContent = config.imageQuality;
   document.getElementById("compression-level").value = config.compressionLevel;
@@ -1367,6 +1880,10 @@ function openModal(modalId) {
     if (modalId === "about-modal") {
       loadAboutInfo();
     }
+    if (modalId === "settings-modal") {
+      refreshBackends();
+      refreshRenderers();
+    }
   }
 }
 
@@ -1377,6 +1894,350 @@ function closeModal(modalId) {
   }
 }
 
+// Chapter preview
+function showChapterPreview() {
+  const preview = state.chapterPreviews[0];
+  if (!preview) return;
+
+  document.getElementById("chapter-preview-file").textContent = window.pathUtils.basename(
+    preview.file
+  );
+  const list = document.getElementById("chapter-preview-list");
+  list.innerHTML = "";
+
+  preview.chapters.forEach((chapter) => {
+    const row = document.createElement("div");
+    row.className = "chapter-preview-item";
+    row.innerHTML = `
+      <input type="checkbox" class="chapter-accept" aria-label="Include chapter" />
+      <input type="text" class="chapter-title" aria-label="Chapter title" />
+      <select class="chapter-level" aria-label="Chapter level">
+        <option value="1">Level 1</option>
+        <option value="2">Level 2</option>
+        <option value="3">Level 3</option>
+      </select>
+      <span class="chapter-page">p. ${chapter.pageNumber}</span>
+      <span class="chapter-confidence">${Math.round(chapter.confidence * 100)}%</span>
+    `;
+    // Titles come from the PDF, so they are set as values rather than markup
+    row.querySelector(".chapter-accept").checked = chapter.accepted;
+    row.querySelector(".chapter-title").value = chapter.title;
+    row.querySelector(".chapter-level").value = String(Math.min(3, chapter.level || 1));
+    row.dataset.page = chapter.pageNumber;
+    list.appendChild(row);
+  });
+
+  openModal("chapter-preview-modal");
+}
+
+async function answerChapterPreview(useChapters) {
+  const preview = state.chapterPreviews.shift();
+  if (!preview) return;
+
+  const chapters = useChapters
+    ? Array.from(document.querySelectorAll("#chapter-preview-list .chapter-preview-item"))
+        .filter((row) => row.querySelector(".chapter-accept").checked)
+        .map((row) => ({
+          title: row.querySelector(".chapter-title").value.trim(),
+          level: parseInt(row.querySelector(".chapter-level").value),
+          pageNumber: parseInt(row.dataset.page),
+        }))
+        .filter((chapter) => chapter.title)
+    : [];
+
+  closeModal("chapter-preview-modal");
+  await window.electronAPI.respondToPrompt(preview.requestId, chapters);
+  showChapterPreview();
+}
+
+// Password prompt
+function showPasswordPrompt() {
+  const request = state.passwordPrompts[0];
+  if (!request) return;
+
+  document.getElementById("password-file").textContent = window.pathUtils.basename(request.file);
+  document.getElementById("password-incorrect").classList.toggle("hidden", !request.incorrect);
+  const input = document.getElementById("pdf-password");
+  input.value = "";
+  openModal("password-modal");
+  input.focus();
+}
+
+async function answerPasswordPrompt(unlock) {
+  const request = state.passwordPrompts.shift();
+  if (!request) return;
+
+  const password = document.getElementById("pdf-password").value;
+  // Skipping answers with no password, which fails just this file
+  const response =
+    unlock && password
+      ? { password, remember: document.getElementById("remember-password").checked }
+      : null;
+  document.getElementById("pdf-password").value = "";
+
+  closeModal("password-modal");
+  await window.electronAPI.respondToPrompt(request.requestId, response);
+  showPasswordPrompt();
+}
+
+// Margin cropping
+function getCropSettings() {
+  const padding = parseFloat(document.getElementById("crop-padding")?.value);
+  return {
+    autoCrop: document.getElementById("auto-crop")?.checked || false,
+    cropMode: document.getElementById("crop-mode")?.value || "page",
+    cropPadding: Number.isFinite(padding) ? padding : 2,
+    cropIgnoreHeaders: document.getElementById("crop-ignore-headers")?.checked || false,
+  };
+}
+
+async function previewCrop() {
+  const file = state.files[0];
+  if (!file) {
+    showToast("No file selected", "Add a PDF to preview its crop", "warning");
+    return;
+  }
+
+  const button = document.getElementById("preview-crop");
+  button.disabled = true;
+  try {
+    const result = await window.electronAPI.previewCrop(file.path, getCropSettings());
+    if (!result.success) {
+      showToast("Crop preview failed", result.error, "error");
+      return;
+    }
+
+    document.getElementById("crop-preview-file").textContent = file.name;
+    const grid = document.getElementById("crop-preview-grid");
+    grid.innerHTML = "";
+    result.pages.forEach((page) => {
+      const figure = document.createElement("figure");
+      figure.className = "crop-preview-page";
+      // The box is positioned over the image alone, so the caption sits outside this frame
+      const frame = document.createElement("div");
+      frame.className = "crop-preview-frame";
+      const image = document.createElement("img");
+      image.src = page.image;
+      image.alt = `Page ${page.pageNumber}`;
+      frame.appendChild(image);
+      if (page.crop) {
+        const box = document.createElement("div");
+        box.className = "crop-box";
+        box.style.left = `${page.crop.left * 100}%`;
+        box.style.top = `${page.crop.top * 100}%`;
+        box.style.width = `${page.crop.width * 100}%`;
+        box.style.height = `${page.crop.height * 100}%`;
+        frame.appendChild(box);
+      }
+      figure.appendChild(frame);
+      const caption = document.createElement("figcaption");
+      caption.textContent = page.crop
+        ? `Page ${page.pageNumber}`
+        : `Page ${page.pageNumber} (blank)`;
+      figure.appendChild(caption);
+      grid.appendChild(figure);
+    });
+    openModal("crop-preview-modal");
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// Cover picker
+function getCoverLabel(cover) {
+  switch (cover?.coverSource) {
+    case "page":
+      return `Cover: page ${cover.coverPage}`;
+    case "image":
+      return "Cover: image";
+    case "none":
+      return "No cover";
+    default:
+      return "Cover: first page";
+  }
+}
+
+function openCoverPicker(file) {
+  state.coverPicker = { file, nextPage: 1, pageCount: null };
+  document.getElementById("cover-picker-file").textContent = file.name;
+  document.getElementById("cover-picker-grid").innerHTML = "";
+  openModal("cover-picker-modal");
+  loadCoverThumbnails();
+}
+
+async function loadCoverThumbnails() {
+  const picker = state.coverPicker;
+  if (!picker) return;
+
+  const button = document.getElementById("cover-load-more");
+  button.disabled = true;
+  const result = await window.electronAPI.getPageThumbnails(picker.file.path, picker.nextPage, 24);
+  // The picker may have been closed or moved to another file while the pages rendered
+  if (state.coverPicker !== picker) return;
+  if (!result.success) {
+    showToast("Could not load pages", result.error, "error");
+    button.disabled = false;
+    return;
+  }
+
+  const grid = document.getElementById("cover-picker-grid");
+  result.pages.forEach((page) => {
+    const option = document.createElement("button");
+    option.type = "button";
+    option.className = "cover-picker-page";
+    const selected = picker.file.cover;
+    option.classList.toggle(
+      "selected",
+      selected?.coverSource === "page"
+        ? selected.coverPage === page.pageNumber
+        : !selected?.coverSource && page.pageNumber === 1
+    );
+    const image = document.createElement("img");
+    image.src = page.image;
+    image.alt = `Page ${page.pageNumber}`;
+    const caption = document.createElement("span");
+    caption.textContent = `Page ${page.pageNumber}`;
+    option.append(image, caption);
+    option.addEventListener("click", () =>
+      setCover({ coverSource: "page", coverPage: page.pageNumber })
+    );
+    grid.appendChild(option);
+  });
+
+  picker.pageCount = result.pageCount;
+  picker.nextPage += result.pages.length;
+  button.disabled = false;
+  button.classList.toggle("hidden", picker.nextPage > picker.pageCount);
+}
+
+async function chooseCoverImage() {
+  const imagePath = await window.electronAPI.selectCoverImage();
+  if (imagePath) setCover({ coverSource: "image", coverImage: imagePath });
+}
+
+function setCover(cover) {
+  const picker = state.coverPicker;
+  if (!picker) return;
+  // The first page is the default, so choosing it again just clears the override
+  picker.file.cover = cover.coverSource === "first-page" ? null : cover;
+  state.coverPicker = null;
+  closeModal("cover-picker-modal");
+  renderFileList();
+}
+
+// Metadata editor
+// What the editor starts from: the details read from the PDF, or the file name until then
+function getSourceMetadata(file) {
+  const metadata = file.health?.metadata;
+  return {
+    title: metadata?.title || file.name.replace(/\.pdf$/i, ""),
+    authors: metadata?.authors || [],
+    series: metadata?.series || "",
+    seriesIndex: metadata?.seriesIndex ?? null,
+    tags: metadata?.tags || [],
+    publisher: metadata?.publisher || "",
+    isbn: metadata?.isbn || "",
+    doi: metadata?.doi || "",
+    description: metadata?.description || "",
+  };
+}
+
+function openMetadataEditor(file) {
+  state.metadataEditor = { file };
+  document.getElementById("metadata-file").textContent = file.name;
+  fillMetadataForm({ ...getSourceMetadata(file), ...file.metadata });
+  openModal("metadata-modal");
+}
+
+function fillMetadataForm(metadata) {
+  document.getElementById("metadata-title").value = metadata.title;
+  document.getElementById("metadata-authors").replaceChildren();
+  metadata.authors.forEach((author) => addAuthorRow(author));
+  if (metadata.authors.length === 0) addAuthorRow();
+  document.getElementById("metadata-series").value = metadata.series;
+  document.getElementById("metadata-series-index").value = metadata.seriesIndex ?? "";
+  document.getElementById("metadata-tags").value = metadata.tags.join(", ");
+  document.getElementById("metadata-publisher").value = metadata.publisher;
+  document.getElementById("metadata-isbn").value = metadata.isbn;
+  document.getElementById("metadata-doi").value = metadata.doi;
+  document.getElementById("metadata-description").value = metadata.description;
+}
+
+function addAuthorRow(author = { name: "", sortAs: "" }) {
+  const row = document.createElement("div");
+  row.className = "metadata-author";
+  const name = document.createElement("input");
+  name.type = "text";
+  name.className = "metadata-author-name";
+  name.placeholder = "Name";
+  name.setAttribute("aria-label", "Author name");
+  name.value = author.name;
+  const sortAs = document.createElement("input");
+  sortAs.type = "text";
+  sortAs.className = "metadata-author-sort";
+  sortAs.placeholder = "Sort as";
+  sortAs.setAttribute("aria-label", "Author sorted as");
+  sortAs.value = author.sortAs;
+  // A sort key nobody typed belongs to the old name, so it is worked out again on saving
+  name.addEventListener("input", () => {
+    if (!sortAs.dataset.edited) sortAs.value = "";
+  });
+  sortAs.addEventListener("input", () => {
+    sortAs.dataset.edited = "true";
+  });
+  const remove = document.createElement("button");
+  remove.type = "button";
+  remove.className = "btn btn-text";
+  remove.textContent = "Remove";
+  remove.addEventListener("click", () => row.remove());
+  row.append(name, sortAs, remove);
+  document.getElementById("metadata-authors").appendChild(row);
+}
+
+function readMetadataForm() {
+  const value = (id) => document.getElementById(id).value.trim();
+  const seriesIndex = parseFloat(value("metadata-series-index"));
+  return {
+    title: value("metadata-title"),
+    authors: Array.from(document.querySelectorAll("#metadata-authors .metadata-author"))
+      .map((row) => ({
+        name: row.querySelector(".metadata-author-name").value.trim(),
+        sortAs: row.querySelector(".metadata-author-sort").value.trim(),
+      }))
+      .filter((author) => author.name),
+    series: value("metadata-series"),
+    seriesIndex: Number.isFinite(seriesIndex) ? seriesIndex : null,
+    tags: value("metadata-tags")
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean),
+    publisher: value("metadata-publisher"),
+    isbn: value("metadata-isbn"),
+    doi: value("metadata-doi"),
+    description: value("metadata-description"),
+  };
+}
+
+function saveMetadata() {
+  const editor = state.metadataEditor;
+  if (!editor) return;
+  // Only changed fields are kept, so the rest still follows what is read from the PDF
+  const source = getSourceMetadata(editor.file);
+  const edits = Object.fromEntries(
+    Object.entries(readMetadataForm()).filter(
+      ([field, value]) => JSON.stringify(value) !== JSON.stringify(source[field])
+    )
+  );
+  editor.file.metadata = Object.keys(edits).length > 0 ? edits : null;
+  state.metadataEditor = null;
+  closeModal("metadata-modal");
+  renderFileList();
+}
+
+function resetMetadata() {
+  if (state.metadataEditor) fillMetadataForm(getSourceMetadata(state.metadataEditor.file));
+}
+
 async function loadAboutInfo() {
   if (!window.electronAPI) return;
   const info = await window.electronAPI.getAppInfo();
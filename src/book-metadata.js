@@ -0,0 +1,176 @@
+import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf.mjs";
+
+// Fields the metadata editor can change; the rest always come from the PDF
+const EDITABLE_FIELDS = [
+  "title",
+  "authors",
+  "series",
+  "seriesIndex",
+  "tags",
+  "publisher",
+  "description",
+  "isbn",
+  "doi",
+];
+// Titles that word processors and scanners fill in by themselves
+const PLACEHOLDER_TITLE = /^(untitled|title|document\d*|scan\d*|slide \d+|\s*)$/i;
+const FILE_EXTENSION = /\.(pdf|docx?|odt|rtf|txt|pptx?|xlsx?|indd|tex|html?)$/i;
+const NAME_SUFFIX = /^(jr|sr|[ivx]+|phd|md)\.?$/i;
+
+class BookMetadata {
+  // Book metadata from the PDF Info dictionary and its XMP packet, preferring XMP since
+  // it is the one kept in Unicode and usually the more complete of the two
+  async read(pdfDoc, defaultTitle) {
+    const { info = {}, metadata: xmp } = await pdfDoc.getMetadata();
+    const get = (name) => {
+      const value = xmp?.get(name);
+      if (!Array.isArray(value)) return value || null;
+      return value.filter(Boolean).length > 0 ? value.filter(Boolean) : null;
+    };
+    const raw = xmp?.getRaw() || "";
+
+    const authors = this.splitAuthors(get("dc:creator") || info.Author);
+    // Calibre writes one sort string for all authors, so it only fits a single author
+    const authorSort = get("calibre:author_sort");
+    if (authors.length === 1 && authorSort) authors[0].sortAs = authorSort;
+
+    const series = raw.match(/<calibre:series\b[\s\S]*?<rdf:value>([^<]*)<\/rdf:value>/);
+    const seriesIndex = raw.match(/<calibreSI:series_index>([\d.]+)</i);
+    const tags = get("dc:subject") || this.splitTags(get("pdf:keywords") || info.Keywords);
+    const publisher = get("dc:publisher");
+
+    return {
+      title: this.cleanTitle(get("dc:title") || info.Title) || defaultTitle,
+      authors,
+      series: series ? this.unescapeXml(series[1]).trim() : "",
+      seriesIndex: seriesIndex ? parseFloat(seriesIndex[1]) : null,
+      tags: Array.isArray(tags) ? tags : this.splitTags(tags),
+      publisher: (Array.isArray(publisher) ? publisher.join(", ") : publisher) || "",
+      // Info's Subject is a one-line summary at most, but it is the closest thing it has
+      description: get("dc:description") || info.Subject || "",
+      isbn: this.normalizeISBN(get("prism:isbn") || ""),
+      doi: this.normalizeDOI(get("prism:doi") || ""),
+      creator: info.Creator || "J.A.S.O.N. Converter",
+      producer: info.Producer || "",
+      creationDate:
+        this.toISODate(get("xmp:createdate") || info.CreationDate) || new Date().toISOString(),
+      modificationDate:
+        this.toISODate(get("xmp:modifydate") || info.ModDate) || new Date().toISOString(),
+      pageCount: pdfDoc.numPages || 0,
+    };
+  }
+
+  // Values edited by hand replace what was read from the PDF; an emptied title does not,
+  // since every book needs one
+  apply(metadata, edits) {
+    if (!edits) return metadata;
+    const result = { ...metadata };
+    for (const field of EDITABLE_FIELDS) {
+      if (edits[field] === undefined) continue;
+      result[field] = edits[field];
+    }
+    result.title = String(result.title || "").trim() || metadata.title;
+    result.authors = (result.authors || [])
+      .map((author) => ({ name: author.name?.trim() || "", sortAs: author.sortAs?.trim() || "" }))
+      .filter((author) => author.name)
+      .map((author) => ({ ...author, sortAs: author.sortAs || this.sortName(author.name) }));
+    result.tags = (result.tags || []).map((tag) => tag.trim()).filter(Boolean);
+    result.seriesIndex = Number.isFinite(result.seriesIndex) ? result.seriesIndex : null;
+    result.isbn = this.normalizeISBN(result.isbn || "");
+    result.doi = this.normalizeDOI(result.doi || "");
+    return result;
+  }
+
+  // Last word first, keeping a trailing "Jr." or "III" after the given names. Surnames of
+  // several words, such as "Le Guin", need their sort key set by hand.
+  sortName(name) {
+    const trimmed = name.trim();
+    if (trimmed.includes(",")) return trimmed;
+    const words = trimmed.split(/\s+/);
+    let suffix = "";
+    if (words.length > 2 && NAME_SUFFIX.test(words[words.length - 1])) suffix = words.pop();
+    if (words.length < 2) return trimmed;
+    const last = words.pop();
+    return `${last}, ${words.join(" ")}${suffix ? `, ${suffix}` : ""}`;
+  }
+
+  // Authors from an XMP list or an Info string such as "A. Smith; B. Jones & C. Wu".
+  // Commas are left alone, as they are as likely to separate surname and given names.
+  splitAuthors(value) {
+    const names = Array.isArray(value) ? value : String(value || "").split(/\s*(?:;|&|\band\b)\s*/);
+    return names
+      .map((name) => name.trim())
+      .filter((name) => name && !/^unknown( author)?$/i.test(name))
+      .map((name) => ({ name, sortAs: this.sortName(name) }));
+  }
+
+  splitTags(value) {
+    return String(value || "")
+      .split(/[,;]/)
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+  }
+
+  cleanTitle(title) {
+    const cleaned = String(title || "")
+      .replace(/^Microsoft (Word|PowerPoint) - /, "")
+      .trim();
+    if (PLACEHOLDER_TITLE.test(cleaned) || FILE_EXTENSION.test(cleaned)) return "";
+    return cleaned;
+  }
+
+  // Digits only, with the check character of an ISBN-10 in upper case
+  normalizeISBN(isbn) {
+    return String(isbn)
+      .replace(/^(urn:)?isbn:?/i, "")
+      .replace(/[\s-]/g, "")
+      .toUpperCase();
+  }
+
+  // An ISBN-10 or ISBN-13, already normalized, whose check digit adds up
+  isValidISBN(isbn) {
+    if (/^\d{9}[\dX]$/.test(isbn)) {
+      const sum = [...isbn].reduce(
+        (total, char, i) => total + (char === "X" ? 10 : Number(char)) * (10 - i),
+        0
+      );
+      return sum % 11 === 0;
+    }
+    if (/^97[89]\d{10}$/.test(isbn)) {
+      const sum = [...isbn].reduce((total, char, i) => total + Number(char) * (i % 2 ? 3 : 1), 0);
+      return sum % 10 === 0;
+    }
+    return false;
+  }
+
+  // The bare "10.prefix/suffix" form of a DOI given as a link or with a "doi:" label
+  normalizeDOI(doi) {
+    return String(doi)
+      .trim()
+      .replace(/^(https?:\/\/(dx\.)?doi\.org\/|(urn:)?doi:\s*)/i, "");
+  }
+
+  isValidDOI(doi) {
+    return /^10\.\d{4,9}\/\S{2,}$/.test(doi);
+  }
+
+  // PDF dates look like "D:20240131120000+01'00'", XMP ones are already ISO 8601
+  toISODate(value) {
+    if (!value) return null;
+    const date = /^\d{4}-/.test(value)
+      ? new Date(value)
+      : pdfjsLib.PDFDateString.toDateObject(value);
+    return date && !isNaN(date) ? date.toISOString() : null;
+  }
+
+  unescapeXml(text) {
+    return text
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, "&");
+  }
+}
+
+export { BookMetadata };
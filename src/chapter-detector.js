@@ -0,0 +1,212 @@
+import { TextLayoutAnalyzer } from "./text-layout.js";
+
+const CHAPTER_PATTERN =
+  /^(chapter|chapitre|kapitel|cap[ií]tulo|capitolo|hoofdstuk|part|teil|partie|book|livre|buch|prologue|epilogue|prolog|epilog|appendix|anhang|introduction|einleitung|preface|vorwort|foreword|afterword)\b/i;
+const NUMBERED_SECTION_PATTERN = /^(\d{1,2}(?:\.\d{1,2}){0,3})\.?\s+\p{Lu}/u;
+
+class ChapterDetector {
+  constructor(options = {}) {
+    this.confidenceThreshold = options.confidenceThreshold ?? 0.6;
+    this.analyzer = new TextLayoutAnalyzer();
+  }
+
+  async detect(pdfDoc, ocrResults = null, pageNumbers = null) {
+    if (ocrResults) {
+      return this.detectFromText(
+        ocrResults.pages.map((page) => page.text),
+        ocrResults.pages.map((page) => page.pageNumber)
+      );
+    }
+    const pages = await this.analyzer.analyzeDocument(pdfDoc, pageNumbers);
+    return this.detectFromLayout(pages);
+  }
+
+  detectFromLayout(pages) {
+    const bodySize = this.analyzer.getBodyFontSize(pages);
+    const bodyBold = this.isBodyBold(pages, bodySize);
+    const isRunningLine = this.createRunningLineFilter(
+      pages.map((page) => page.lines.map((l) => l.text))
+    );
+
+    // Rank the heading-sized fonts so the largest maps to level 1
+    const headingSizes = [
+      ...new Set(
+        pages.flatMap((page) => page.lines.map((l) => l.fontSize)).filter((s) => s > bodySize * 1.1)
+      ),
+    ].sort((a, b) => b - a);
+
+    const candidates = [];
+    for (const page of pages) {
+      page.lines.forEach((line, i) => {
+        if (isRunningLine(line.text)) return;
+
+        let score = 0;
+        const ratio = line.fontSize / bodySize;
+        if (ratio >= 1.6) score += 0.45;
+        else if (ratio >= 1.3) score += 0.35;
+        else if (ratio >= 1.1) score += 0.2;
+        if (line.bold && !bodyBold) score += 0.15;
+
+        const pattern = this.matchPattern(line.text);
+        score += pattern.score;
+
+        // Chapter openings usually sit alone, with generous whitespace above
+        if (i === 0 && line.y < page.height * 0.8) score += 0.1;
+        if (line.gapAbove !== null && line.gapAbove > bodySize * 3) score += 0.15;
+        if (i === 0) score += 0.05;
+
+        score -= this.getPenalty(line.text);
+        if (score <= 0.2) return;
+
+        const sizeRank = headingSizes.indexOf(line.fontSize);
+        candidates.push({
+          title: line.text,
+          pageNumber: page.pageNumber,
+          level: pattern.level || (sizeRank >= 0 ? Math.min(sizeRank + 1, 3) : 2),
+          confidence: Math.min(1, Math.round(score * 100) / 100),
+        });
+      });
+    }
+
+    return this.finalize(candidates);
+  }
+
+  detectFromText(pageTexts, pageNumbers = null) {
+    const pagesLines = pageTexts.map((text) => (text || "").split("\n").map((l) => l.trim()));
+    const isRunningLine = this.createRunningLineFilter(
+      pagesLines.map((lines) => lines.filter(Boolean))
+    );
+    const candidates = [];
+
+    pagesLines.forEach((lines, pageIndex) => {
+      const firstTextLine = lines.findIndex(Boolean);
+      lines.forEach((text, i) => {
+        if (!text || isRunningLine(text)) return;
+
+        const pattern = this.matchPattern(text);
+        let score = pattern.score;
+        // Without font data, isolation and capitals are the strongest layout hints
+        const isolated = !lines[i - 1] && !lines[i + 1];
+        if (isolated) score += 0.15;
+        if (i === firstTextLine) score += 0.1;
+        if (text.length > 3 && text === text.toUpperCase() && /\p{Lu}/u.test(text)) score += 0.2;
+
+        score -= this.getPenalty(text);
+        if (score <= 0.2) return;
+
+        candidates.push({
+          title: text,
+          pageNumber: pageNumbers?.[pageIndex] ?? pageIndex + 1,
+          level: pattern.level || 1,
+          confidence: Math.min(1, Math.round(score * 100) / 100),
+        });
+      });
+    });
+
+    return this.finalize(candidates);
+  }
+
+  matchPattern(text) {
+    if (CHAPTER_PATTERN.test(text)) {
+      return { score: 0.45, level: /^(part|teil|partie|book|livre|buch)\b/i.test(text) ? 1 : 0 };
+    }
+    const numbered = text.match(NUMBERED_SECTION_PATTERN);
+    if (numbered) {
+      return { score: 0.3, level: numbered[1].split(".").length };
+    }
+    return { score: 0, level: 0 };
+  }
+
+  getPenalty(text) {
+    let penalty = 0;
+    if (text.length > 80) penalty += 0.3;
+    if (/[.,;]$/.test(text) && !/\.\.\.$/.test(text)) penalty += 0.2;
+    if (!/\p{L}/u.test(text)) penalty += 1;
+    if (text.length < 3) penalty += 0.3;
+    return penalty;
+  }
+
+  isBodyBold(pages, bodySize) {
+    const bodyLines = pages.flatMap((page) => page.lines.filter((l) => l.fontSize === bodySize));
+    return bodyLines.filter((l) => l.bold).length > bodyLines.length / 2;
+  }
+
+  createRunningLineFilter(pagesLines) {
+    // Running headers and footers repeat at the page edges and are never chapters
+    const exactCounts = new Map();
+    const numberedCounts = new Map();
+    for (const lines of pagesLines) {
+      const edges = new Set([...lines.slice(0, 2), ...lines.slice(-2)]);
+      for (const text of edges) {
+        const exact = this.normalize(text);
+        const numbered = this.normalize(text, true);
+        exactCounts.set(exact, (exactCounts.get(exact) || 0) + 1);
+        numberedCounts.set(numbered, (numberedCounts.get(numbered) || 0) + 1);
+      }
+    }
+
+    const limit = Math.max(3, pagesLines.length * 0.3);
+    const seen = new Set();
+    return (text) => {
+      const exact = this.normalize(text);
+      if (exactCounts.get(exact) >= limit) {
+        // A header repeating the chapter title still marks where that chapter starts
+        if (seen.has(exact)) return true;
+        seen.add(exact);
+        return false;
+      }
+      // "Chapter 1", "Chapter 2"... differ only by number but are real headings
+      return !CHAPTER_PATTERN.test(text) && numberedCounts.get(this.normalize(text, true)) >= limit;
+    };
+  }
+
+  normalize(text, ignoreNumbers = false) {
+    const normalized = text.toLowerCase().replace(/\s+/g, " ").trim();
+    return ignoreNumbers ? normalized.replace(/\d+/g, "#") : normalized;
+  }
+
+  finalize(candidates) {
+    // Keep the strongest candidate per page and level
+    const best = new Map();
+    for (const candidate of candidates) {
+      const key = `${candidate.pageNumber}:${candidate.level}`;
+      if (!best.has(key) || best.get(key).confidence < candidate.confidence) {
+        best.set(key, candidate);
+      }
+    }
+    return [...best.values()]
+      .sort((a, b) => a.pageNumber - b.pageNumber || a.level - b.level)
+      .map((candidate) => ({
+        ...candidate,
+        accepted: candidate.confidence >= this.confidenceThreshold,
+      }));
+  }
+
+  toOutline(chapters) {
+    // Nest entries by level in the same shape as PDFConverter.extractOutline
+    const root = { level: 0, children: [] };
+    const stack = [root];
+    for (const chapter of chapters) {
+      const level = Math.max(1, chapter.level || 1);
+      while (stack.length > 1 && stack[stack.length - 1].level >= level) stack.pop();
+      const entry = {
+        title: chapter.title,
+        pageIndex: chapter.pageNumber - 1,
+        level,
+        children: [],
+      };
+      stack[stack.length - 1].children.push(entry);
+      stack.push(entry);
+    }
+
+    const strip = (entries) =>
+      entries.map(({ title, pageIndex, children }) => ({
+        title,
+        pageIndex,
+        children: strip(children),
+      }));
+    return strip(root.children);
+  }
+}
+
+export { ChapterDetector };
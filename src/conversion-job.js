@@ -0,0 +1,84 @@
+import { promises as fs } from "fs";
+import { join } from "path";
+import { v4 as uuidv4 } from "uuid";
+import { OCRProcessor } from "./ocr.js";
+import os from "os";
+
+// Everything a single conversion owns, so concurrent jobs never share state
+class ConversionJob {
+  constructor({ id = uuidv4() } = {}) {
+    this.id = id;
+    this.controller = new AbortController();
+    this.tempDir = null;
+    this.ocrProcessor = null;
+    // PDF renderer picked for this job's page images, figures and OCR
+    this.renderer = null;
+    // Output from external converters, returned with the result
+    this.log = [];
+    // Files written outside the temp dir, removed if the job is cancelled
+    this.outputPaths = new Set();
+  }
+
+  get signal() {
+    return this.controller.signal;
+  }
+
+  get cancelled() {
+    return this.controller.signal.aborted;
+  }
+
+  async cancel() {
+    if (this.cancelled) return;
+    const error = new Error("Conversion cancelled");
+    error.name = "AbortError";
+    this.controller.abort(error);
+    // Stops the page loop and rejects any recognition in progress
+    if (this.ocrProcessor) {
+      this.ocrProcessor.cancel();
+      await this.ocrProcessor.terminate().catch(() => {});
+    }
+  }
+
+  throwIfCancelled() {
+    this.controller.signal.throwIfAborted();
+  }
+
+  trackOutput(path) {
+    this.outputPaths.add(path);
+  }
+
+  async removeOutputs() {
+    await Promise.all(
+      [...this.outputPaths].map((path) => fs.rm(path, { force: true }).catch(() => {}))
+    );
+    this.outputPaths.clear();
+  }
+
+  async createTempDir() {
+    if (!this.tempDir) {
+      this.tempDir = join(os.tmpdir(), `J.A.S.O.N._${uuidv4()}`);
+      await fs.mkdir(this.tempDir, { recursive: true });
+    }
+    return this.tempDir;
+  }
+
+  getOCRProcessor() {
+    if (!this.ocrProcessor) this.ocrProcessor = new OCRProcessor();
+    return this.ocrProcessor;
+  }
+
+  async cleanup() {
+    if (this.tempDir) {
+      await fs
+        .rm(this.tempDir, { recursive: true, force: true })
+        .catch((err) => console.error(`Error cleaning up temp dir for job ${this.id}:`, err));
+      this.tempDir = null;
+    }
+    if (this.ocrProcessor) {
+      await this.ocrProcessor.terminate().catch(() => {});
+      this.ocrProcessor = null;
+    }
+  }
+}
+
+export { ConversionJob };
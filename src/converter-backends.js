@@ -0,0 +1,280 @@
+import { promises as fs, constants as fsConstants } from "fs";
+import { join, basename, dirname, delimiter } from "path";
+import { spawn } from "child_process";
+
+const DEFAULT_TIMEOUT = 5 * 60 * 1000;
+const VERSION_TIMEOUT = 10 * 1000;
+const KILL_GRACE = 5 * 1000;
+
+class ConverterBackends {
+  constructor() {
+    this.backends = {
+      calibre: {
+        name: "Calibre",
+        executable: "ebook-convert",
+        formats: ["mobi", "azw3"],
+        versionArgs: ["--version"],
+        installPaths: {
+          win32: ["C:\\Program Files\\Calibre2", "C:\\Program Files (x86)\\Calibre2"],
+          darwin: ["/Applications/calibre.app/Contents/MacOS"],
+          linux: ["/opt/calibre"],
+        },
+        buildArgs: ({ inputPath, outputPath, extraArgs }) => [inputPath, outputPath, ...extraArgs],
+      },
+      kindlegen: {
+        name: "kindlegen",
+        executable: "kindlegen",
+        formats: ["mobi"],
+        versionArgs: [],
+        installPaths: {
+          win32: [
+            join(
+              process.env.LOCALAPPDATA || "",
+              "Amazon",
+              "Kindle Previewer 3",
+              "lib",
+              "fc",
+              "bin"
+            ),
+          ],
+          darwin: ["/Applications/Kindle Previewer 3.app/Contents/lib/fc/bin"],
+          linux: [],
+        },
+        // kindlegen only takes a file name and writes next to its input
+        buildArgs: ({ inputPath, outputPath, extraArgs }) => [
+          inputPath,
+          "-o",
+          basename(outputPath),
+          ...extraArgs,
+        ],
+        writesBesideInput: true,
+        // Exit code 1 means the book was built with warnings
+        successCodes: [0, 1],
+      },
+      custom: {
+        name: "Custom command",
+        executable: null,
+        formats: ["mobi", "azw3"],
+        versionArgs: null,
+        installPaths: {},
+        buildArgs: ({ inputPath, outputPath, format, extraArgs, template }) => [
+          ...this.splitArgs(template || "{input} {output}").map((arg) =>
+            arg
+              .replace(/\{input\}/g, inputPath)
+              .replace(/\{output\}/g, outputPath)
+              .replace(/\{format\}/g, format)
+          ),
+          ...extraArgs,
+        ],
+      },
+    };
+  }
+
+  async detect(paths = {}) {
+    return Promise.all(
+      Object.entries(this.backends).map(async ([id, backend]) => {
+        const path = await this.findExecutable(id, paths[id]);
+        const version = path && backend.versionArgs ? await this.getVersion(path, backend) : null;
+        return { id, name: backend.name, formats: backend.formats, found: !!path, path, version };
+      })
+    );
+  }
+
+  async findExecutable(id, customPath) {
+    const backend = this.backends[id];
+    if (!backend) return null;
+
+    if (customPath) {
+      // A configured path may point at the program or at the folder holding it
+      const stats = await fs.stat(customPath).catch(() => null);
+      if (stats?.isFile()) return customPath;
+      if (stats?.isDirectory() && backend.executable) {
+        return this.findInDirectories(backend.executable, [customPath]);
+      }
+      return null;
+    }
+    if (!backend.executable) return null;
+
+    const searchPath = (process.env.PATH || "").split(delimiter).filter(Boolean);
+    const installPaths = backend.installPaths[process.platform] || [];
+    return this.findInDirectories(backend.executable, [...searchPath, ...installPaths]);
+  }
+
+  async findInDirectories(executable, directories) {
+    const extensions =
+      process.platform === "win32"
+        ? (process.env.PATHEXT || ".EXE;.CMD;.BAT").split(";").filter(Boolean)
+        : [""];
+    for (const directory of directories) {
+      for (const extension of extensions) {
+        const candidate = join(directory, executable + extension);
+        try {
+          await fs.access(candidate, fsConstants.X_OK);
+          return candidate;
+        } catch {
+          // Not in this directory
+        }
+      }
+    }
+    return null;
+  }
+
+  async getVersion(path, backend) {
+    try {
+      const { stdout, stderr } = await this.spawnProcess(path, backend.versionArgs, {
+        timeout: VERSION_TIMEOUT,
+        successCodes: null,
+      });
+      return `${stdout}\n${stderr}`.match(/\bV?(\d+(?:\.\d+)+)/)?.[1] || null;
+    } catch {
+      return null;
+    }
+  }
+
+  async run(id, { inputPath, outputPath, format, config = {}, log = [], signal } = {}) {
+    const backend = this.backends[id];
+    if (!backend) throw new Error(`Unknown converter backend: ${id}`);
+    if (!backend.formats.includes(format)) {
+      throw new Error(`${backend.name} cannot produce ${format.toUpperCase()} files`);
+    }
+
+    const path = await this.findExecutable(id, config.converterPaths?.[id]);
+    if (!path) {
+      throw new Error(`${backend.name} was not found. Install it or set its location in Settings.`);
+    }
+
+    const args = backend.buildArgs({
+      inputPath,
+      outputPath,
+      format,
+      extraArgs: this.splitArgs(config.converterArgs?.[format] || ""),
+      template: config.customConverterArgs,
+    });
+
+    log.push(`$ ${[path, ...args].map((arg) => (/\s/.test(arg) ? `"${arg}"` : arg)).join(" ")}`);
+    await this.spawnProcess(path, args, {
+      cwd: dirname(inputPath),
+      timeout: config.converterTimeout || DEFAULT_TIMEOUT,
+      successCodes: backend.successCodes || [0],
+      onLine: (stream, line) => log.push(stream === "stderr" ? `! ${line}` : line),
+      signal,
+    });
+
+    if (backend.writesBesideInput) {
+      const written = join(dirname(inputPath), basename(outputPath));
+      if (written !== outputPath) await this.moveFile(written, outputPath);
+    }
+    await fs.access(outputPath).catch(() => {
+      throw new Error(`${backend.name} finished without writing ${basename(outputPath)}`);
+    });
+    return outputPath;
+  }
+
+  spawnProcess(command, args, { cwd, timeout, successCodes, onLine, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this.createAbortError());
+        return;
+      }
+
+      const child = spawn(command, args, {
+        cwd,
+        stdio: ["ignore", "pipe", "pipe"],
+        windowsHide: true,
+        // Its own process group, so wrapper scripts can be stopped with their children
+        detached: process.platform !== "win32",
+      });
+      const output = { stdout: "", stderr: "" };
+      const pending = { stdout: "", stderr: "" };
+      let failure = null;
+      let killTimer = null;
+
+      for (const stream of ["stdout", "stderr"]) {
+        child[stream].setEncoding("utf8");
+        child[stream].on("data", (chunk) => {
+          output[stream] += chunk;
+          const lines = (pending[stream] + chunk).split(/\r?\n/);
+          pending[stream] = lines.pop();
+          lines.filter((line) => line.trim()).forEach((line) => onLine?.(stream, line));
+        });
+      }
+
+      const stop = (error) => {
+        if (failure) return;
+        failure = error;
+        this.killProcess(child, "SIGTERM");
+        // Converters that ignore SIGTERM are killed outright
+        killTimer = setTimeout(() => this.killProcess(child, "SIGKILL"), KILL_GRACE);
+      };
+      const timer = setTimeout(
+        () => stop(new Error(`${basename(command)} timed out after ${Math.ceil(timeout / 1000)}s`)),
+        timeout
+      );
+      const onAbort = () => stop(this.createAbortError());
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      const finish = () => {
+        clearTimeout(timer);
+        clearTimeout(killTimer);
+        signal?.removeEventListener("abort", onAbort);
+        for (const stream of ["stdout", "stderr"]) {
+          if (pending[stream].trim()) onLine?.(stream, pending[stream]);
+        }
+      };
+
+      child.on("error", (error) => {
+        finish();
+        reject(new Error(`Failed to start ${basename(command)}: ${error.message}`));
+      });
+      child.on("close", (code) => {
+        finish();
+        if (failure) reject(failure);
+        else if (successCodes && !successCodes.includes(code)) {
+          reject(new Error(`${basename(command)} failed with code ${code}`));
+        } else resolve(output);
+      });
+    });
+  }
+
+  killProcess(child, signal) {
+    if (process.platform === "win32") {
+      const taskkill = spawn("taskkill", ["/pid", String(child.pid), "/T", "/F"], {
+        windowsHide: true,
+      });
+      // Without taskkill, at least the process itself is stopped
+      taskkill.on("error", () => child.kill(signal));
+      return;
+    }
+    try {
+      process.kill(-child.pid, signal);
+    } catch {
+      child.kill(signal);
+    }
+  }
+
+  async moveFile(from, to) {
+    try {
+      await fs.rename(from, to);
+    } catch (error) {
+      // Renames fail across drives, so copy the file instead
+      if (error.code !== "EXDEV") throw error;
+      await fs.copyFile(from, to);
+      await fs.unlink(from);
+    }
+  }
+
+  splitArgs(text) {
+    // Whitespace separated, with double or single quotes keeping spaces together
+    return [...text.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(
+      ([, double, single, plain]) => double ?? single ?? plain
+    );
+  }
+
+  createAbortError() {
+    const error = new Error("Conversion cancelled");
+    error.name = "AbortError";
+    return error;
+  }
+}
+
+export { ConverterBackends };
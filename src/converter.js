@@ -1,17 +1,57 @@
 import { promises as fs } from "fs";
-import { join, basename, dirname } from "path";
+import { join, basename, dirname, extname } from "path";
 import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf.mjs";
 import sharp from "sharp";
 import archiver from "archiver";
 import { v4 as uuidv4 } from "uuid";
 import { createWriteStream } from "fs";
-import { OCRProcessor } from "./ocr.js";
+import { ConversionJob } from "./conversion-job.js";
+import { ReflowBuilder } from "./reflow.js";
+import { ChapterDetector } from "./chapter-detector.js";
+import { MobiWriter } from "./mobi-writer.js";
+import { KF8Writer } from "./kf8-writer.js";
+import { ConverterBackends } from "./converter-backends.js";
+import { RenderPool } from "./render-pool.js";
+import { PDFRenderers } from "./pdf-renderers.js";
+import { DeviceProfiles } from "./device-profiles.js";
+import { MarginCropper } from "./margin-cropper.js";
+import { PageSplitter } from "./page-splitter.js";
+import { SizeOptimizer } from "./size-optimizer.js";
+import { PageSelection } from "./page-selection.js";
+import { PageLinks } from "./page-links.js";
+import { PageNotes } from "./page-notes.js";
+import { PDFPreflight } from "./pdf-preflight.js";
+import { EPUBValidator } from "./epub-validator.js";
+import { LanguageDetector } from "./language-detector.js";
+import { BookMetadata } from "./book-metadata.js";
+import { PublicationInfo } from "./publication-info.js";
 import os from "os";
 
+// Packaging passes allowed before a book that still overshoots its sync target is kept
+const MAX_SIZE_PASSES = 3;
+// Small enough for a grid of pages in the cover picker, large enough to tell them apart
+const THUMBNAIL_DENSITY = 24;
+// Pages read to guess the language, spread over the selection
+const LANGUAGE_SAMPLE_PAGES = 10;
+
 class PDFConverter {
   constructor() {
-    this.tempDir = null;
-    this.ocrProcessor = null;
+    this.backends = new ConverterBackends();
+    // Shared by every job so concurrent conversions stay within one set of workers
+    this.renderPool = new RenderPool();
+    this.pdfRenderers = new PDFRenderers();
+    this.deviceProfiles = new DeviceProfiles();
+    this.marginCropper = new MarginCropper();
+    this.pageSplitter = new PageSplitter();
+    this.sizeOptimizer = new SizeOptimizer();
+    this.pageSelection = new PageSelection();
+    this.pageLinks = new PageLinks();
+    this.pageNotes = new PageNotes();
+    this.preflight = new PDFPreflight();
+    this.epubValidator = new EPUBValidator();
+    this.languageDetector = new LanguageDetector();
+    this.bookMetadata = new BookMetadata();
+    this.publicationInfo = new PublicationInfo();
     this.supportedFormats = {
       epub: {
         mimeType: "application/epub+zip",
@@ -36,7 +76,7 @@ class PDFConverter {
     };
   }
 
-  async convert(inputPath, outputPath, settings = {}, progressCallback = null) {
+  async convert(inputPath, outputPath, settings = {}, progressCallback = null, options = {}) {
     const startTime = Date.now();
 
     // Default settings
@@ -51,7 +91,25 @@ class PDFConverter {
       enableOCR: settings.enableOCR ?? false,
       ocrLanguages: settings.ocrLanguages ?? ["eng"],
       autoDetectScanned: settings.autoDetectScanned !== false,
+      detectChapters: settings.detectChapters !== false,
+      previewChapters: settings.previewChapters ?? false,
+      chapterConfidence: settings.chapterConfidence ?? 0.6,
       outputFormat: settings.outputFormat ?? "epub",
+      layoutMode: settings.layoutMode ?? "fixed",
+      mobiBackend: settings.mobiBackend ?? "native",
+      azw3Backend: settings.azw3Backend ?? "native",
+      autoCrop: settings.autoCrop ?? false,
+      cropMode: settings.cropMode ?? "page",
+      cropPadding: settings.cropPadding ?? 2,
+      cropIgnoreHeaders: settings.cropIgnoreHeaders ?? false,
+      pageSplit: settings.pageSplit ?? "none",
+      pageSpread: settings.pageSpread ?? "none",
+      pageRange: settings.pageRange ?? "",
+      coverSource: settings.coverSource ?? "first-page",
+      coverPage: settings.coverPage ?? null,
+      coverImage: settings.coverImage ?? null,
+      language: settings.language ?? "auto",
+      metadata: settings.metadata ?? null,
       ...settings,
     };
 
@@ -62,73 +120,188 @@ class PDFConverter {
 
     const formatInfo = this.supportedFormats[config.outputFormat];
 
+    // Reflowable text has no page images, so the PDF writer always uses fixed pages
+    const reflow = config.layoutMode === "reflow" && config.outputFormat !== "pdf";
+
     // Apply sync optimization settings
     this.applySyncOptimization(config);
 
-    // Estimate file size and adjust compression if needed
-    await this.optimizeForSyncTarget(config, inputPath);
+    // Temp files, OCR worker and converter output all belong to this one conversion
+    const job = options.job || new ConversionJob();
 
     let pdfDoc = null;
     try {
-      // Create temporary directory
-      this.tempDir = join(os.tmpdir(), `J.A.S.O.N._${uuidv4()}`);
-      await fs.mkdir(this.tempDir, { recursive: true });
+      await job.createTempDir();
 
-      progressCallback?.({ progress: 5, stage: "Loading PDF..." });
+      progressCallback?.({ progress: 5, stage: "Checking PDF..." });
 
-      // Load PDF using pdfjs-dist for metadata and text
+      // Load PDF using pdfjs-dist for metadata and text, after checking it for damage
       const pdfBuffer = await fs.readFile(inputPath);
-      pdfDoc = await pdfjsLib.getDocument({ data: pdfBuffer }).promise;
+      const preflight = await this.preflight.check(pdfBuffer, (data) =>
+        this.openDocument(data, options)
+      );
+      const { health } = preflight;
+      pdfDoc = preflight.pdfDoc;
+      // Every page render of an encrypted file needs the password that opened it
+      job.password = preflight.password;
+      // Renderers read from disk, so a repaired file is written out for every later stage
+      let pdfPath = inputPath;
+      if (health.repair) {
+        pdfPath = join(job.tempDir, "repaired.pdf");
+        await fs.writeFile(pdfPath, preflight.data);
+      }
       const numPages = pdfDoc.numPages;
+      // Page numbers to convert, in order; every later stage works on this selection
+      const pages = this.pageSelection
+        .parse(config.pageRange, numPages)
+        .filter((pageNumber) => !health.unreadablePages.includes(pageNumber));
+      if (pages.length === 0) throw new Error("None of the selected pages can be read");
+      const targetSize = this.getSyncTargetSize(config, pdfBuffer.length);
+      job.throwIfCancelled();
 
       progressCallback?.({ progress: 10, stage: "Analyzing document..." });
 
       // Check if OCR is needed
       let ocrResults = null;
       if (config.enableOCR || config.autoDetectScanned) {
-        const needsOCR = await this.checkIfNeedsOCR(pdfDoc, config);
+        const needsOCR = await this.checkIfNeedsOCR(pdfDoc, config, pages);
 
         if (needsOCR) {
           progressCallback?.({ progress: 15, stage: "Performing OCR..." });
-          ocrResults = await this.performOCR(inputPath, config, (progress) =>
+          ocrResults = await this.performOCR(job, pdfPath, pages, config, (progress) =>
             progressCallback?.({
               progress: 15 + progress.progress * 0.1,
               stage: "OCR Processing...",
             })
           );
+          job.throwIfCancelled();
         }
       }
 
       progressCallback?.({ progress: 25, stage: "Extracting metadata..." });
 
-      // Extract metadata
-      const metadata = await this.extractMetadata(pdfDoc, basename(inputPath, ".pdf"));
+      // Extract metadata, with whatever was edited by hand taking precedence
+      const metadata = this.bookMetadata.apply(
+        await this.extractMetadata(pdfDoc, basename(inputPath, ".pdf")),
+        config.metadata
+      );
+      metadata.language = await this.detectLanguage(pdfDoc, pages, ocrResults, config);
+      const suggestions = await this.suggestMetadata(pdfDoc, pages, ocrResults, metadata);
+      let outline = this.selectOutline(await this.extractOutline(pdfDoc), pages);
+      let tocSource = outline.length > 0 ? "outline" : "pages";
+
+      // Without bookmarks, fall back to headings found in the text
+      if (outline.length === 0 && config.detectChapters) {
+        progressCallback?.({ progress: 27, stage: "Detecting chapters..." });
+        outline = await this.detectChapters(
+          pdfDoc,
+          pages,
+          ocrResults,
+          config,
+          options.onChapterPreview
+        );
+        if (outline.length > 0) tocSource = "detected";
+        job.throwIfCancelled();
+      }
+
+      // Comments and highlights are listed in an appendix; PDF output keeps the drawn pages only
+      const notes =
+        config.preserveAnnotations && config.outputFormat !== "pdf"
+          ? await this.extractNotes(pdfDoc, pages)
+          : [];
 
       // Create EPUB structure
-      const epubDir = join(this.tempDir, "epub");
+      const epubDir = join(job.tempDir, "epub");
       await this.createEPUBStructure(epubDir);
 
       progressCallback?.({ progress: 30, stage: "Preparing e-book structure..." });
 
-      // Convert PDF pages to images using sharp
-      const images = await this.convertPagesToImages(inputPath, numPages, epubDir, config, (p) => {
-        // Map image conversion progress from 30% to 70%
-        const imageProgress = 30 + p * 0.4;
-        progressCallback?.({
-          progress: imageProgress,
-          stage: p < 50 ? "Converting pages..." : "Optimizing images...",
-        });
-      });
+      let images;
+      let chapters = null;
+      let textContent = [];
+      let pageRenders = null;
+      let sizePlan = null;
+      if (reflow) {
+        progressCallback?.({ progress: 35, stage: "Rebuilding text layout..." });
+        ({ images, chapters } = await this.buildReflowContent(
+          pdfPath,
+          pdfDoc,
+          pages,
+          epubDir,
+          ocrResults,
+          config,
+          job
+        ));
+        progressCallback?.({ progress: 75, stage: "Generating content..." });
+      } else {
+        // Render PDF pages to images with the detected renderer
+        const pageSizes = await this.getPageSizes(pdfDoc, pages);
+        const detectPage = this.createDetectionRenderer(job, pdfPath, pages, config);
+        let crops = null;
+        if (config.autoCrop) {
+          progressCallback?.({ progress: 30, stage: "Finding page margins..." });
+          crops = await this.detectCrops(job, pages, detectPage, config);
+        }
+        let splits = null;
+        if (config.pageSplit !== "none") {
+          progressCallback?.({ progress: 30, stage: "Splitting pages..." });
+          splits = await this.pageSplitter.plan(pageSizes, detectPage, {
+            mode: config.pageSplit,
+            signal: job.signal,
+          });
+        }
+        pageRenders = this.linkPageRenders(
+          this.planPageRenders(pageSizes, config, crops, splits),
+          await this.extractLinks(pdfDoc, pages),
+          notes
+        );
 
-      progressCallback?.({ progress: 75, stage: "Generating content..." });
+        // Sync targets pick image settings from sample pages before the full render
+        if (targetSize) {
+          progressCallback?.({ progress: 30, stage: "Estimating output size..." });
+          sizePlan = await this.fitSizeTarget(job, pdfPath, pageRenders, targetSize, config);
+        }
 
-      // Extract text content (use OCR results if available, otherwise from pdfjs)
-      const textContent = ocrResults
-        ? ocrResults.pages.map((p) => p.text)
-        : await this.extractTextContent(pdfDoc);
+        images = await this.convertPagesToImages(
+          pdfPath,
+          pageRenders.map((render) => this.sizeOptimizer.apply(render, sizePlan?.rung)),
+          epubDir,
+          config,
+          (p) => {
+            // Map image conversion progress from 30% to 70%
+            const imageProgress = 30 + p * 0.4;
+            progressCallback?.({
+              progress: imageProgress,
+              stage: p < 50 ? "Converting pages..." : "Optimizing images...",
+            });
+          },
+          job
+        );
+
+        progressCallback?.({ progress: 75, stage: "Generating content..." });
+
+        // Extract text content by page (use OCR results if available, otherwise from pdfjs)
+        textContent = ocrResults
+          ? ocrResults.pages.reduce((texts, p) => {
+              texts[p.pageNumber - 1] = p.text;
+              return texts;
+            }, [])
+          : await this.extractTextContent(pdfDoc, pages);
+      }
+
+      // The PDF writer only packages page images, so it has no use for a cover
+      const cover =
+        config.outputFormat !== "pdf" && config.coverSource !== "none"
+          ? await this.createCover(job, pdfDoc, pdfPath, pages, epubDir, config)
+          : null;
 
       // Generate EPUB content files
-      await this.generateContentFiles(epubDir, images, textContent, metadata, config);
+      await this.generateContentFiles(
+        epubDir,
+        { images, textContent, chapters, outline, cover, notes },
+        metadata,
+        config
+      );
 
       progressCallback?.({ progress: 80, stage: "Creating output file..." });
 
@@ -136,30 +309,63 @@ class PDFConverter {
       const outputFilePath =
         outputPath || join(dirname(inputPath), basename(inputPath, ".pdf") + formatInfo.extension);
 
-      let finalOutputPath;
-
-      // Route to format-specific converter
-      switch (config.outputFormat) {
-        case "epub":
-          progressCallback?.({ progress: 82, stage: "Creating EPUB..." });
-          finalOutputPath = await this.convertToEPUB(epubDir, outputFilePath, config);
-          break;
-        case "mobi":
-          progressCallback?.({ progress: 82, stage: "Creating MOBI..." });
-          finalOutputPath = await this.convertToMOBI(epubDir, outputFilePath, config);
-          break;
-        case "pdf":
-          progressCallback?.({ progress: 82, stage: "Creating optimized PDF..." });
-          finalOutputPath = await this.convertToPDF(epubDir, outputFilePath, config, images);
-          break;
-        case "azw3":
-          progressCallback?.({ progress: 82, stage: "Creating AZW3..." });
-          finalOutputPath = await this.convertToAZW3(epubDir, outputFilePath, config);
-          break;
-        default:
-          throw new Error(`Conversion method not implemented for format: ${config.outputFormat}`);
+      // Anything written from here on is partial until the job finishes
+      job.throwIfCancelled();
+      job.trackOutput(outputFilePath);
+
+      let output = await this.writeOutput(
+        epubDir,
+        outputFilePath,
+        config,
+        images,
+        metadata,
+        job,
+        progressCallback
+      );
+      job.throwIfCancelled();
+
+      // Re-encode with smaller pages while the packaged book still overshoots its target
+      let sizePasses = 1;
+      while (sizePlan && sizePasses < MAX_SIZE_PASSES) {
+        const { size } = await fs.stat(output.outputPath);
+        if (size <= targetSize) break;
+        const smaller = await this.sizeOptimizer.refit(sizePlan, size);
+        if (!smaller) break;
+        sizePlan = smaller;
+        sizePasses++;
+
+        images = await this.convertPagesToImages(
+          pdfPath,
+          pageRenders.map((render) => this.sizeOptimizer.apply(render, sizePlan.rung)),
+          epubDir,
+          config,
+          (p) =>
+            progressCallback?.({
+              progress: 82 + p * 0.06,
+              stage: "Re-encoding pages to fit the target size...",
+            }),
+          job
+        );
+        await this.generateContentFiles(
+          epubDir,
+          { images, textContent, chapters, outline, cover, notes },
+          metadata,
+          config
+        );
+        output = await this.writeOutput(
+          epubDir,
+          outputFilePath,
+          config,
+          images,
+          metadata,
+          job,
+          progressCallback
+        );
+        job.throwIfCancelled();
       }
 
+      const finalOutputPath = output.outputPath;
+
       progressCallback?.({ progress: 90, stage: "Optimizing for device..." });
 
       // Optimize for Kindle if needed
@@ -170,6 +376,10 @@ class PDFConverter {
         await this.optimizeForKindle(finalOutputPath);
       }
 
+      // Problems that would make readers or Send to Kindle reject the book
+      const validation =
+        config.outputFormat === "epub" ? await this.validateEPUB(finalOutputPath) : null;
+
       // Get output file size
       const stats = await fs.stat(finalOutputPath);
       const inputStats = await fs.stat(inputPath);
@@ -185,40 +395,157 @@ class PDFConverter {
         inputSize: inputStats.size,
         compressionRatio: ((1 - stats.size / inputStats.size) * 100).toFixed(2),
         conversionTime: endTime - startTime,
-        pageCount: images.length,
+        pageCount: pages.length,
         format: formatInfo.name,
+        backend: output.backend,
+        tocSource,
+        language: metadata.language,
+        metadataSuggestions: suggestions,
+        health,
+        validation,
+        sizeTarget: targetSize
+          ? {
+              targetSize,
+              achievedSize: stats.size,
+              met: stats.size <= targetSize,
+              passes: sizePasses,
+              settings: sizePlan?.rung ?? null,
+            }
+          : null,
+        log: job.log,
       };
     } catch (error) {
-      console.error("Conversion failed:", error);
-      throw error;
+      // Whatever failed after a cancel failed because of it
+      const failure = job.cancelled ? job.signal.reason : error;
+      if (job.cancelled) await job.removeOutputs();
+      else console.error("Conversion failed:", error);
+      failure.log = job.log;
+      throw failure;
     } finally {
-      await this.cleanup();
+      await job.cleanup();
+    }
+  }
+
+  // Routes to the format-specific writer, which reports the backend that produced the file
+  async writeOutput(epubDir, outputFilePath, config, images, metadata, job, progressCallback) {
+    switch (config.outputFormat) {
+      case "epub":
+        progressCallback?.({ progress: 82, stage: "Creating EPUB..." });
+        return this.convertToEPUB(epubDir, outputFilePath, config);
+      case "mobi":
+        progressCallback?.({ progress: 82, stage: "Creating MOBI..." });
+        return this.convertToMOBI(epubDir, outputFilePath, config, job);
+      case "pdf":
+        progressCallback?.({ progress: 82, stage: "Creating optimized PDF..." });
+        return this.convertToPDF(epubDir, outputFilePath, config, images, metadata);
+      case "azw3":
+        progressCallback?.({ progress: 82, stage: "Creating AZW3..." });
+        return this.convertToAZW3(epubDir, outputFilePath, config, job);
+      default:
+        throw new Error(`Conversion method not implemented for format: ${config.outputFormat}`);
     }
   }
 
   async extractMetadata(pdfDoc, defaultTitle) {
-    const data = await pdfDoc.getMetadata();
-    const info = data.info || {};
-    return {
-      title: info.Title || defaultTitle,
-      author: info.Author || "Unknown Author",
-      subject: info.Subject || "",
-      keywords: info.Keywords || "",
-      creator: info.Creator || "J.A.S.O.N. Converter",
-      producer: info.Producer || "",
-      creationDate: info.CreationDate || new Date().toISOString(),
-      modificationDate: info.ModDate || new Date().toISOString(),
-      pageCount: pdfDoc.numPages || 0,
-    };
+    return this.bookMetadata.read(pdfDoc, defaultTitle);
+  }
+
+  // The language chosen in the settings, else the one the PDF declares, else the one its
+  // text reads as, else the one OCR was told to expect
+  async detectLanguage(pdfDoc, pageNumbers, ocrResults, config) {
+    if (config.language && config.language !== "auto") {
+      const chosen = this.languageDetector.normalize(config.language);
+      if (chosen) return chosen;
+    }
+
+    const { info } = await pdfDoc.getMetadata();
+    const declared = this.languageDetector.normalize(info?.Language);
+    if (declared) return declared;
+
+    let text;
+    if (ocrResults) {
+      text = ocrResults.pages.map((page) => page.text).join("\n");
+    } else {
+      const step = Math.max(1, pageNumbers.length / LANGUAGE_SAMPLE_PAGES);
+      const sample = [];
+      for (let i = 0; i < pageNumbers.length && sample.length < LANGUAGE_SAMPLE_PAGES; i += step) {
+        sample.push(pageNumbers[Math.floor(i)]);
+      }
+      const pages = await this.extractTextLines(pdfDoc, sample);
+      text = pages.filter(Boolean).join("\n");
+    }
+    const detected = this.languageDetector.detect(text);
+    if (detected) return detected;
+
+    if (ocrResults || config.enableOCR) {
+      const expected = this.languageDetector.fromOCRLanguage(config.ocrLanguages[0]);
+      if (expected) return expected;
+    }
+    return "en";
+  }
+
+  // ISBN, DOI and imprint details found in the text, for the user to accept, without the
+  // ones the book already has. Null when there is nothing new.
+  async suggestMetadata(pdfDoc, pageNumbers, ocrResults, metadata) {
+    const sample = this.publicationInfo.samplePages(pageNumbers);
+    if (sample.length === 0) return null;
+
+    let pages;
+    if (ocrResults) {
+      pages = sample.map((pageNumber) => ({
+        pageNumber,
+        text: ocrResults.pages.find((page) => page.pageNumber === pageNumber)?.text || "",
+      }));
+    } else {
+      const texts = await this.extractTextLines(pdfDoc, sample);
+      pages = sample.map((pageNumber) => ({ pageNumber, text: texts[pageNumber - 1] || "" }));
+    }
+
+    let found;
+    try {
+      found = await this.publicationInfo.extract(pdfDoc, pages, { ocr: !!ocrResults });
+    } catch (error) {
+      console.warn("Could not read publication details:", error);
+      return null;
+    }
+
+    const same = (a, b) => !!b && a.toLowerCase() === String(b).toLowerCase();
+    if (found.title && same(found.title, metadata.title)) delete found.title;
+    if (found.authors?.every((name) => metadata.authors.some((a) => same(a.name, name)))) {
+      delete found.authors;
+    }
+    if (found.publisher && same(found.publisher, metadata.publisher)) delete found.publisher;
+    if (found.isbns?.some((entry) => entry.isbn === metadata.isbn)) {
+      delete found.isbn;
+      delete found.isbns;
+    }
+    if (found.doi && same(found.doi, metadata.doi)) delete found.doi;
+    return Object.keys(found).length > 0 ? found : null;
   }
 
-  async extractTextContent(pdfDoc) {
+  async extractTextContent(pdfDoc, pageNumbers) {
+    // Indexed by page, so pages outside the selection are simply left out
     const pages = [];
-    for (let i = 1; i <= pdfDoc.numPages; i++) {
-      const page = await pdfDoc.getPage(i);
+    for (const pageNumber of pageNumbers) {
+      const page = await pdfDoc.getPage(pageNumber);
       const textContent = await page.getTextContent();
       const pageText = textContent.items.map((item) => item.str).join(" ");
-      pages.push(pageText.trim());
+      pages[pageNumber - 1] = pageText.trim();
+    }
+    return pages;
+  }
+
+  // Like extractTextContent, but with the line ends kept, since imprints and bylines are
+  // read line by line
+  async extractTextLines(pdfDoc, pageNumbers) {
+    const pages = [];
+    for (const pageNumber of pageNumbers) {
+      const page = await pdfDoc.getPage(pageNumber);
+      const textContent = await page.getTextContent();
+      const pageText = textContent.items
+        .map((item) => (item.hasEOL ? `${item.str}\n` : item.str))
+        .join(" ");
+      pages[pageNumber - 1] = pageText.trim();
     }
     return pages;
   }
@@ -245,127 +572,674 @@ class PDFConverter {
     await fs.writeFile(join(epubDir, "META-INF", "container.xml"), containerXml);
   }
 
-  async convertPagesToImages(pdfPath, numPages, epubDir, config, progressCallback) {
-    const images = [];
-    const density = 150; // Standard DPI for good quality on e-readers
+  async getPageSizes(pdfDoc, pageNumbers) {
+    // Rotation is applied, so landscape pages are measured the way they are displayed
+    const sizes = [];
+    for (const pageNumber of pageNumbers) {
+      const { width, height } = (await pdfDoc.getPage(pageNumber)).getViewport({ scale: 1 });
+      sizes.push({ pageIndex: pageNumber - 1, width, height });
+    }
+    return sizes;
+  }
 
-    const conversionPromises = [];
-    for (let i = 1; i <= numPages; i++) {
-      conversionPromises.push(async () => {
-        const optimizedPath = join(
-          epubDir,
-          "OEBPS",
-          "images",
-          `page_${String(i).padStart(3, "0")}.jpg`
+  // One render task per piece of each page, in reading order
+  planPageRenders(pageSizes, config, crops = null, splits = null) {
+    const profile = this.deviceProfiles.get(config.deviceProfile);
+    const wholePage = { left: 0, top: 0, width: 1, height: 1 };
+    const renders = [];
+    pageSizes.forEach(({ pageIndex, width, height }, i) => {
+      const pieces = (splits?.[i] || [wholePage])
+        .map((piece) => this.pageSplitter.clip(piece, crops?.[i]))
+        .filter(Boolean);
+
+      pieces.forEach(({ rotate = 0, ...region }, part) => {
+        // Only the piece has to fill the screen, turned the way it will be shown
+        const pieceWidth = width * region.width;
+        const pieceHeight = height * region.height;
+        const [screenWidth, screenHeight] =
+          rotate % 180 ? [pieceHeight, pieceWidth] : [pieceWidth, pieceHeight];
+        renders.push({
+          pageIndex,
+          part,
+          // Standard DPI for good quality on e-readers, scaled down to the maximum width
+          ...(profile
+            ? this.deviceProfiles.getPageRender(profile, screenWidth, screenHeight)
+            : { density: 150, maxWidth: config.imageMaxWidth, maxHeight: null }),
+          crop: region.width < 1 || region.height < 1 ? region : null,
+          rotate,
+        });
+      });
+    });
+    return renders;
+  }
+
+  async extractLinks(pdfDoc, pageNumbers) {
+    try {
+      return await this.pageLinks.extract(pdfDoc, pageNumbers, (doc, dest) =>
+        this.resolveDestination(doc, dest)
+      );
+    } catch (error) {
+      console.warn("Could not read PDF links:", error.message);
+      return new Map();
+    }
+  }
+
+  async extractNotes(pdfDoc, pageNumbers) {
+    try {
+      return await this.pageNotes.extract(pdfDoc, pageNumbers);
+    } catch (error) {
+      console.warn("Could not read PDF annotations:", error.message);
+      return [];
+    }
+  }
+
+  // Gives each piece the links and note markers that fall on it. Internal links jump to the
+  // first piece of their page and are dropped when that page is not converted.
+  linkPageRenders(pageRenders, links, notes = []) {
+    const firstPiece = new Map();
+    pageRenders.forEach((render, i) => {
+      if (!firstPiece.has(render.pageIndex)) firstPiece.set(render.pageIndex, i);
+    });
+
+    return pageRenders.map((render) => ({
+      ...render,
+      links: (links.get(render.pageIndex) || []).flatMap((link) => {
+        if (!link.url && !firstPiece.has(link.pageIndex)) return [];
+        const box = this.pageLinks.place(link, render.crop, render.rotate);
+        if (!box) return [];
+        return [
+          {
+            ...box,
+            ...(link.url ? { url: link.url } : { targetIndex: firstPiece.get(link.pageIndex) }),
+          },
+        ];
+      }),
+      notes: notes
+        .filter((note) => note.pageIndex === render.pageIndex)
+        .flatMap((note) => {
+          const box = this.pageLinks.place(note, render.crop, render.rotate);
+          return box ? [{ ...box, id: note.id, number: note.number }] : [];
+        }),
+    }));
+  }
+
+  createDetectionRenderer(job, pdfPath, pageNumbers, config) {
+    // Margin and gutter detection look at the same low resolution renders. They count the
+    // selected pages from zero, which is mapped back to the page in the document here.
+    const renders = new Map();
+    return async (i, density) => {
+      const pageIndex = pageNumbers[i] - 1;
+      const key = `${pageIndex}@${density}`;
+      if (!renders.has(key)) {
+        const renderer = await this.getRenderer(job, config);
+        renders.set(
+          key,
+          this.rasterizePage(renderer, pdfPath, pageIndex, density, job.signal, job.password)
         );
-        let sharpInstance = sharp(pdfPath, { page: i - 1, density });
+      }
+      return renders.get(key);
+    };
+  }
 
-        if (config.grayscale) {
-          sharpInstance = sharpInstance.grayscale();
-        }
+  async detectCrops(job, pageNumbers, renderPage, config) {
+    return this.marginCropper.detect(pageNumbers.length, renderPage, {
+      pageNumbers,
+      mode: config.cropMode,
+      padding: config.cropPadding,
+      ignoreHeaders: config.cropIgnoreHeaders,
+      signal: job?.signal,
+    });
+  }
 
-        let quality = config.imageQuality;
-        if (config.compressionLevel === "maximum") {
-          quality = Math.min(quality, 70);
-        } else if (config.compressionLevel === "minimum") {
-          quality = Math.max(quality, 90);
+  // Encrypted files are retried with each password the user gives until one opens them.
+  // Resolves to the document and the password that opened it, if it needed one.
+  async openDocument(data, { password = null, onPasswordRequest } = {}) {
+    let attempt = password;
+    for (;;) {
+      try {
+        // pdfjs rejects Node Buffers, so each attempt gets a plain Uint8Array copy
+        const pdfDoc = await pdfjsLib.getDocument({
+          data: new Uint8Array(data),
+          ...(attempt ? { password: attempt } : {}),
+          ...this.pdfRenderers.getDocumentOptions(),
+        }).promise;
+        return { pdfDoc, password: attempt };
+      } catch (error) {
+        if (error.name !== "PasswordException") throw error;
+        attempt =
+          (await onPasswordRequest?.({
+            incorrect: error.code === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD,
+          })) || null;
+        if (!attempt) {
+          const missing = new Error("This PDF is password protected and no password was given");
+          missing.name = "PasswordError";
+          throw missing;
         }
+      }
+    }
+  }
+
+  // Preflight findings for the file list, so damaged or locked files show up before a
+  // batch, and the metadata the book details editor starts from
+  async inspect(inputPath, options = {}) {
+    const { pdfDoc, health } = await this.preflight.check(await fs.readFile(inputPath), (data) =>
+      this.openDocument(data, options)
+    );
+    const metadata = await this.extractMetadata(pdfDoc, basename(inputPath, ".pdf"));
+    await pdfDoc.destroy();
+    return { health, metadata };
+  }
 
-        await sharpInstance
-          .resize(config.imageMaxWidth, null, {
+  async countPages(inputPath, options = {}) {
+    const { pdfDoc, password } = await this.openDocument(await fs.readFile(inputPath), options);
+    const { numPages } = pdfDoc;
+    await pdfDoc.destroy();
+    return { numPages, password };
+  }
+
+  async previewCrop(inputPath, settings = {}, pageLimit = 6, options = {}) {
+    const { numPages, password } = await this.countPages(inputPath, options);
+    const pageCount = Math.min(numPages, pageLimit);
+
+    // The detection renders double as the thumbnails the crop boxes are drawn over
+    const renderer = await this.getRenderer(null, settings, password);
+    const thumbnails = [];
+    const crops = await this.marginCropper.detect(
+      pageCount,
+      async (pageIndex, density) => {
+        thumbnails[pageIndex] = await this.rasterizePage(
+          renderer,
+          inputPath,
+          pageIndex,
+          density,
+          null,
+          password
+        );
+        return thumbnails[pageIndex];
+      },
+      {
+        mode: settings.cropMode ?? "page",
+        padding: settings.cropPadding ?? 2,
+        ignoreHeaders: settings.cropIgnoreHeaders ?? false,
+      }
+    );
+
+    return crops.map((crop, i) => ({
+      pageNumber: i + 1,
+      image: `data:image/png;base64,${thumbnails[i].toString("base64")}`,
+      crop,
+    }));
+  }
+
+  // One batch of page thumbnails for the cover picker, which asks for more as needed
+  async getPageThumbnails(inputPath, settings = {}, firstPage = 1, count = 24, options = {}) {
+    const { numPages: pageCount, password } = await this.countPages(inputPath, options);
+    const renderer = await this.getRenderer(null, settings, password);
+    const lastPage = Math.min(pageCount, firstPage + count - 1);
+    const pages = await Promise.all(
+      Array.from({ length: Math.max(0, lastPage - firstPage + 1) }, async (_, i) => {
+        const pageNumber = firstPage + i;
+        const png = await this.rasterizePage(
+          renderer,
+          inputPath,
+          pageNumber - 1,
+          THUMBNAIL_DENSITY,
+          null,
+          password
+        );
+        return { pageNumber, image: `data:image/png;base64,${png.toString("base64")}` };
+      })
+    );
+    return { pageCount, pages };
+  }
+
+  async rasterizePage(renderer, pdfPath, pageIndex, density, signal, password) {
+    const { data } = await this.renderPool.run(
+      { renderer, pdfPath, password, pageIndex, density },
+      { signal }
+    );
+    return Buffer.from(data);
+  }
+
+  // The cover is rendered whole, without the crops, splits or size target the pages get
+  async createCover(job, pdfDoc, pdfPath, pageNumbers, epubDir, config) {
+    const outputPath = join(epubDir, "OEBPS", "images", "cover.jpg");
+    const profile = this.deviceProfiles.get(config.deviceProfile);
+    const quality = this.getJpegQuality(config);
+    let pageNumber = null;
+    let info;
+
+    if (config.coverSource === "image") {
+      if (!config.coverImage) throw new Error("No cover image was chosen");
+      let image = sharp(config.coverImage).rotate(); // Honors camera orientation
+      if (config.grayscale) image = image.grayscale();
+      try {
+        info = await image
+          .resize(profile?.width ?? config.imageMaxWidth, profile?.height ?? null, {
             withoutEnlargement: true,
             fit: "inside",
           })
-          .jpeg({
+          .jpeg({ quality, progressive: true, mozjpeg: true })
+          .toFile(outputPath);
+      } catch (error) {
+        throw new Error(
+          `Could not read cover image ${basename(config.coverImage)}: ${error.message}`
+        );
+      }
+    } else {
+      pageNumber = config.coverSource === "page" ? Number(config.coverPage) : pageNumbers[0];
+      if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > pdfDoc.numPages) {
+        throw new Error(
+          `Cover page ${config.coverPage} is not in the document (1-${pdfDoc.numPages})`
+        );
+      }
+      const { width, height } = (await pdfDoc.getPage(pageNumber)).getViewport({ scale: 1 });
+      info = await this.renderPool.run(
+        {
+          renderer: await this.getRenderer(job, config),
+          pdfPath,
+          password: job?.password,
+          pageIndex: pageNumber - 1,
+          outputPath,
+          grayscale: config.grayscale,
+          quality,
+          ...(profile
+            ? this.deviceProfiles.getPageRender(profile, width, height)
+            : { density: 150, maxWidth: config.imageMaxWidth, maxHeight: null }),
+        },
+        { signal: job?.signal }
+      );
+    }
+
+    return {
+      id: "cover-image",
+      href: "images/cover.jpg",
+      mediaType: "image/jpeg",
+      width: info.width,
+      height: info.height,
+      // A fixed-layout book already opens on this page, so the cover stays out of reading order
+      linear: !(config.layoutMode !== "reflow" && pageNumber === pageNumbers[0]),
+    };
+  }
+
+  async convertPagesToImages(pdfPath, pageRenders, epubDir, config, progressCallback, job) {
+    const images = [];
+    const numPages = pageRenders.length;
+    const quality = this.getJpegQuality(config);
+    const renderer = await this.getRenderer(job, config);
+    let nextPage = 1;
+    let completed = 0;
+
+    // Each lane keeps one page in the worker pool at a time. Split pages are numbered by
+    // piece, so the file names follow the reading order.
+    const renderNext = async () => {
+      while (nextPage <= numPages) {
+        const i = nextPage++;
+        job?.throwIfCancelled();
+        const name = `page_${String(i).padStart(3, "0")}`;
+        const { part, links = [], notes = [], ...render } = pageRenders[i - 1];
+
+        const info = await this.renderPool.run(
+          {
+            renderer,
+            pdfPath,
+            password: job?.password,
+            outputPath: join(epubDir, "OEBPS", "images", `${name}.jpg`),
+            grayscale: config.grayscale,
             quality,
-            progressive: true,
-            optimizeScans: true,
-            mozjpeg: true,
-          })
-          .toFile(optimizedPath);
+            // Sync targets set their own quality and grayscale per render
+            ...render,
+          },
+          { signal: job?.signal }
+        );
 
         images[i - 1] = {
-          id: `page_${String(i).padStart(3, "0")}`,
-          href: `images/page_${String(i).padStart(3, "0")}.jpg`,
+          // Manifest ids are shared with the page documents, which are named the same way
+          id: `${name}_image`,
+          href: `images/${name}.jpg`,
           mediaType: "image/jpeg",
+          width: info.width,
+          height: info.height,
+          pageNumber: render.pageIndex + 1,
+          part,
+          links,
+          notes,
         };
-        progressCallback?.((i / numPages) * 100);
-      });
-    }
-
-    // Run conversions with memory-optimized concurrency
-    const concurrency = config.concurrency || Math.max(1, Math.floor(os.cpus().length / 2));
-    const chunkSize = config.chunkSize || 10;
-
-    // Process in chunks to manage memory usage
-    for (let i = 0; i < conversionPromises.length; i += chunkSize) {
-      const chunk = conversionPromises.slice(i, i + chunkSize).map((p) => p());
-
-      // For high concurrency, process chunks sequentially
-      // For low concurrency, process within chunk in parallel
-      if (concurrency > 1) {
-        // Process multiple chunks in parallel
-        const parallelChunks = [];
-        for (let j = 0; j < chunk.length; j += concurrency) {
-          parallelChunks.push(chunk.slice(j, j + concurrency));
-        }
-        await Promise.all(parallelChunks.map((chunkGroup) => Promise.all(chunkGroup)));
-      } else {
-        // Process sequentially for low memory mode
-        await Promise.all(chunk);
+        completed++;
+        progressCallback?.((completed / numPages) * 100);
       }
-    }
+    };
+
+    const lanes = Math.min(numPages, this.getRenderConcurrency(config));
+    await Promise.all(Array.from({ length: lanes }, renderNext));
 
     progressCallback?.(100);
     return images.filter(Boolean); // Filter out any empty slots if errors occurred
   }
 
-  async generateContentFiles(epubDir, images, textContent, metadata, config) {
+  getRenderConcurrency(config) {
+    // Memory mode sets the baseline; priority trades speed against a responsive machine
+    const concurrency = config.concurrency || Math.max(1, Math.floor(os.cpus().length / 2));
+    switch (config.processingPriority) {
+      case "low":
+        return 1;
+      case "high":
+        return config.memoryOptimization === "low-memory"
+          ? concurrency
+          : Math.max(concurrency, os.cpus().length);
+      default:
+        return concurrency;
+    }
+  }
+
+  async generateContentFiles(epubDir, content, metadata, config) {
+    const {
+      images,
+      textContent = [],
+      chapters = null,
+      outline = [],
+      cover = null,
+      notes = [],
+    } = content;
     const uuid = uuidv4();
-    const contentOpf = this.generateContentOPF(uuid, metadata, images, config);
-    const tocNcx = this.generateTOCNCX(uuid, metadata, images);
+    // Spine documents are either one page per image or the rebuilt reflow chapters
+    const documents = chapters || this.getPageDocuments(images);
+    const toc = this.buildTableOfContents(outline, documents, metadata);
+    // Notes close the book and get the last entry of the contents
+    const appendix =
+      notes.length > 0
+        ? {
+            id: "annotations",
+            href: "text/annotations.xhtml",
+            title: "Annotations",
+            // Notes are running text, even in a book of fixed pages
+            reflowable: true,
+          }
+        : null;
+    if (appendix) toc.push({ title: appendix.title, href: appendix.href, children: [] });
+    const contentOpf = this.generateContentOPF(
+      uuid,
+      metadata,
+      images,
+      appendix ? [...documents, appendix] : documents,
+      config,
+      cover
+    );
+    const tocNcx = this.generateTOCNCX(uuid, metadata, toc, documents.length);
     const css = this.generateCSS(config);
-    const navXhtml = this.generateNavXHTML(metadata, images);
+    const navXhtml = this.generateNavXHTML(metadata, toc);
 
     await Promise.all([
       fs.writeFile(join(epubDir, "OEBPS", "content.opf"), contentOpf),
       fs.writeFile(join(epubDir, "OEBPS", "toc.ncx"), tocNcx),
       fs.writeFile(join(epubDir, "OEBPS", "css", "style.css"), css),
       fs.writeFile(join(epubDir, "OEBPS", "nav.xhtml"), navXhtml),
-      ...images.map((image, i) => {
-        const html = this.generatePageHTML(image, textContent[i] || "", i + 1, metadata, config);
-        return fs.writeFile(
-          join(epubDir, "OEBPS", "text", `page_${String(i + 1).padStart(3, "0")}.xhtml`),
-          html
-        );
+      appendix &&
+        fs.writeFile(
+          join(epubDir, "OEBPS", appendix.href),
+          this.generateNotesHTML(notes, documents, metadata)
+        ),
+      cover &&
+        fs.writeFile(
+          join(epubDir, "OEBPS", "text", "cover.xhtml"),
+          this.generateCoverHTML(cover, metadata, config)
+        ),
+      ...documents.map((doc, i) => {
+        const html = chapters
+          ? this.generateChapterHTML(doc, metadata)
+          : this.generatePageHTML(
+              images[i],
+              // Text goes with the first piece of a split page only
+              doc.continued ? "" : textContent[doc.startPage - 1] || "",
+              doc.startPage,
+              metadata,
+              config,
+              // Page documents share a folder, so internal links only need the file name
+              (images[i].links || []).map((link) => ({
+                ...link,
+                href: link.url ?? basename(documents[link.targetIndex].href),
+                label: link.url ?? documents[link.targetIndex].title,
+              }))
+            );
+        return fs.writeFile(join(epubDir, "OEBPS", doc.href), html);
       }),
     ]);
   }
 
-  generateContentOPF(uuid, metadata, images, config) {
-    const manifestItems = images
-      .map(
-        (img, i) => `
-    <item id="${img.id}" href="${img.href}" media-type="${img.mediaType}"/>
-    <item id="page_${String(i + 1).padStart(3, "0")}" href="text/page_${String(i + 1).padStart(3, "0")}.xhtml" media-type="application/xhtml+xml"/>`
-      )
-      .join("");
-    const spineItems = images
-      .map((img, i) => `    <itemref idref="page_${String(i + 1).padStart(3, "0")}"/>`)
-      .join("\n");
+  getPageDocuments(images) {
+    return images.map((img, i) => ({
+      id: `page_${String(i + 1).padStart(3, "0")}`,
+      href: `text/page_${String(i + 1).padStart(3, "0")}.xhtml`,
+      title: `Page ${img.pageNumber ?? i + 1}`,
+      startPage: img.pageNumber ?? i + 1,
+      // Later pieces of a split page follow the piece the contents point at
+      continued: img.part > 0,
+    }));
+  }
+
+  async extractOutline(pdfDoc) {
+    let outline;
+    try {
+      outline = await pdfDoc.getOutline();
+    } catch (error) {
+      console.warn("Could not read PDF outline:", error.message);
+      return [];
+    }
+
+    const resolveItems = async (items = []) => {
+      const entries = [];
+      for (const item of items) {
+        const pageIndex = await this.resolveDestination(pdfDoc, item.dest);
+        const children = await resolveItems(item.items);
+        // Bookmarks without a page (e.g. URL actions) are kept only as containers
+        if (pageIndex === null && children.length === 0) continue;
+        entries.push({
+          title: (item.title || "").trim() || `Page ${(pageIndex ?? children[0].pageIndex) + 1}`,
+          pageIndex: pageIndex ?? children[0].pageIndex,
+          children,
+        });
+      }
+      return entries;
+    };
+
+    return resolveItems(outline || []);
+  }
+
+  // Keeps the bookmarks that land on selected pages; others stay only as containers
+  selectOutline(entries, pageNumbers) {
+    const selected = new Set(pageNumbers);
+    return entries.flatMap((entry) => {
+      const children = this.selectOutline(entry.children, pageNumbers);
+      if (selected.has(entry.pageIndex + 1)) return [{ ...entry, children }];
+      if (children.length === 0) return [];
+      return [{ ...entry, pageIndex: children[0].pageIndex, children }];
+    });
+  }
+
+  async resolveDestination(pdfDoc, dest) {
+    try {
+      const explicitDest = typeof dest === "string" ? await pdfDoc.getDestination(dest) : dest;
+      if (!Array.isArray(explicitDest) || explicitDest.length === 0) return null;
+      const [target] = explicitDest;
+      // Some producers write a page index instead of a page reference
+      if (Number.isInteger(target)) return target;
+      return await pdfDoc.getPageIndex(target);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async detectChapters(pdfDoc, pageNumbers, ocrResults, config, onChapterPreview) {
+    const detector = new ChapterDetector({ confidenceThreshold: config.chapterConfidence });
+    let chapters;
+    try {
+      chapters = await detector.detect(pdfDoc, ocrResults, pageNumbers);
+    } catch (error) {
+      console.warn("Chapter detection failed:", error.message);
+      return [];
+    }
+
+    if (config.previewChapters && onChapterPreview && chapters.length > 0) {
+      // The user can rename, re-level or leave out entries before packaging
+      const edited = await onChapterPreview(chapters);
+      chapters = Array.isArray(edited) ? edited : chapters.filter((c) => c.accepted);
+    } else {
+      chapters = chapters.filter((c) => c.accepted);
+    }
+
+    // Page numbers come back from the preview window, so they are held to the selection
+    const selected = new Set(pageNumbers);
+    const valid = chapters.filter((c) => c.title?.trim() && selected.has(c.pageNumber));
+    return detector.toOutline(valid.sort((a, b) => a.pageNumber - b.pageNumber));
+  }
+
+  buildTableOfContents(outline, documents, metadata) {
+    if (outline.length === 0) {
+      return documents
+        .filter((doc) => !doc.continued)
+        .map((doc) => ({
+          title: doc.title || metadata.title,
+          href: doc.href,
+          children: [],
+        }));
+    }
+
+    const mapEntries = (entries) =>
+      entries.map((entry) => ({
+        title: entry.title,
+        href: this.findPageDocument(documents, entry.pageIndex).href,
+        children: mapEntries(entry.children),
+      }));
+
+    return mapEntries(outline);
+  }
+
+  // The last document starting on or before a page
+  findPageDocument(documents, pageIndex) {
+    let match = documents[0];
+    for (const doc of documents) {
+      if (doc.startPage > pageIndex + 1) break;
+      if (doc.continued) continue;
+      match = doc;
+    }
+    return match;
+  }
+
+  getTocDepth(toc) {
+    return toc.reduce((depth, entry) => Math.max(depth, 1 + this.getTocDepth(entry.children)), 0);
+  }
+
+  generateContentOPF(uuid, metadata, images, documents, config, cover = null) {
+    const manifestItems = [
+      ...(cover
+        ? [
+            `    <item id="${cover.id}" href="${cover.href}" media-type="${cover.mediaType}" properties="cover-image"/>`,
+            '    <item id="cover" href="text/cover.xhtml" media-type="application/xhtml+xml"/>',
+          ]
+        : []),
+      ...images.map(
+        (img) => `    <item id="${img.id}" href="${img.href}" media-type="${img.mediaType}"/>`
+      ),
+      ...documents.map(
+        (doc) => `    <item id="${doc.id}" href="${doc.href}" media-type="application/xhtml+xml"/>`
+      ),
+    ].join("\n");
+    const fixedLayout = config.layoutMode !== "reflow";
+    const kindleLayout = fixedLayout && config.optimizeForKindle;
+    const facing = fixedLayout && config.pageSpread === "facing";
+    // Spreads need the device turned sideways, so facing pages never lock the orientation
+    const orientation = fixedLayout && !facing ? this.getOrientation(images) : "auto";
+    // Page documents come first and line up with the images they show
+    const pageSides = facing ? this.getPageSides(images) : [];
+    const spineProperties = (doc, i) => {
+      const properties = [
+        pageSides[i] && `page-spread-${pageSides[i]}`,
+        fixedLayout && doc.reflowable && "rendition:layout-reflowable",
+      ].filter(Boolean);
+      return properties.length > 0 ? ` properties="${properties.join(" ")}"` : "";
+    };
+    const spineItems = [
+      // A cover in a book of facing pages is shown on its own
+      ...(cover
+        ? [
+            `    <itemref idref="cover" linear="${cover.linear ? "yes" : "no"}"${facing ? ' properties="rendition:page-spread-center"' : ""}/>`,
+          ]
+        : []),
+      ...documents.map((doc, i) => `    <itemref idref="${doc.id}"${spineProperties(doc, i)}/>`),
+    ].join("\n");
+    // Kindle scales fixed-layout pages from the largest rendered page size
+    const pageWidth = Math.max(0, ...images.map((img) => img.width || 0));
+    const pageHeight = Math.max(0, ...images.map((img) => img.height || 0));
+    const layoutMeta = fixedLayout
+      ? [
+          '<meta property="rendition:layout">pre-paginated</meta>',
+          `<meta property="rendition:spread">${facing ? "landscape" : "none"}</meta>`,
+          `<meta property="rendition:orientation">${orientation}</meta>`,
+          pageWidth && pageHeight
+            ? `<meta name="original-resolution" content="${pageWidth}x${pageHeight}"/>`
+            : "",
+          // Older Kindle firmware only reads its own names for the same settings
+          kindleLayout ? '<meta name="fixed-layout" content="true"/>' : "",
+          kindleLayout && orientation !== "auto"
+            ? `<meta name="orientation-lock" content="${orientation}"/>`
+            : "",
+          kindleLayout && config.preserveAnnotations
+            ? '<meta name="RegionMagnification" content="true"/>'
+            : "",
+        ]
+          .filter(Boolean)
+          .join("\n    ")
+      : "";
+
+    // Authors carry their sort key and role, and the series is given both as an EPUB 3
+    // collection and in the calibre names that Kindle tools and libraries read
+    const bookMeta = [
+      this.bookMetadata.isValidISBN(metadata.isbn)
+        ? `<dc:identifier id="isbn">urn:isbn:${metadata.isbn}</dc:identifier>`
+        : "",
+      this.bookMetadata.isValidDOI(metadata.doi)
+        ? `<dc:identifier id="doi">urn:doi:${this.escapeXml(metadata.doi)}</dc:identifier>`
+        : "",
+      `<dc:title>${this.escapeXml(metadata.title)}</dc:title>`,
+      ...metadata.authors.flatMap((author, i) => [
+        `<dc:creator id="creator${i + 1}">${this.escapeXml(author.name)}</dc:creator>`,
+        `<meta refines="#creator${i + 1}" property="role" scheme="marc:relators">aut</meta>`,
+        `<meta refines="#creator${i + 1}" property="file-as">${this.escapeXml(author.sortAs)}</meta>`,
+      ]),
+      metadata.publisher
+        ? `<dc:publisher>${this.escapeXml(metadata.publisher)}</dc:publisher>`
+        : "",
+      metadata.description
+        ? `<dc:description>${this.escapeXml(metadata.description)}</dc:description>`
+        : "",
+      ...metadata.tags.map((tag) => `<dc:subject>${this.escapeXml(tag)}</dc:subject>`),
+      ...(metadata.series
+        ? [
+            `<meta property="belongs-to-collection" id="series">${this.escapeXml(metadata.series)}</meta>`,
+            '<meta refines="#series" property="collection-type">series</meta>',
+            metadata.seriesIndex !== null
+              ? `<meta refines="#series" property="group-position">${metadata.seriesIndex}</meta>`
+              : "",
+            `<meta name="calibre:series" content="${this.escapeXml(metadata.series)}"/>`,
+            metadata.seriesIndex !== null
+              ? `<meta name="calibre:series_index" content="${metadata.seriesIndex}"/>`
+              : "",
+          ]
+        : []),
+    ]
+      .filter(Boolean)
+      .join("\n    ");
 
     return `<?xml version="1.0" encoding="UTF-8"?>
 <package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="BookId">
   <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
     <dc:identifier id="BookId">urn:uuid:${uuid}</dc:identifier>
-    <dc:title>${this.escapeXml(metadata.title)}</dc:title>
-    <dc:creator>${this.escapeXml(metadata.author)}</dc:creator>
-    <dc:language>en</dc:language>
+    ${bookMeta}
+    <dc:language>${metadata.language}</dc:language>
     <dc:date>${metadata.creationDate}</dc:date>
-    <dc:publisher>J.A.S.O.N. Converter</dc:publisher>
     <meta property="dcterms:modified">${new Date().toISOString().split(".")[0] + "Z"}</meta>
-    ${config.optimizeForKindle ? '<meta name="fixed-layout" content="true"/>' : ""}
-    ${config.preserveAnnotations ? '<meta name="RegionMagnification" content="true"/>' : ""}
+    ${cover ? `<meta name="cover" content="${cover.id}"/>` : ""}
+    ${layoutMeta}
   </metadata>
   <manifest>
     <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
@@ -376,44 +1250,81 @@ ${manifestItems}
   <spine toc="ncx">
 ${spineItems}
   </spine>
+  ${cover ? '<guide>\n    <reference type="cover" title="Cover" href="text/cover.xhtml"/>\n  </guide>' : ""}
 </package>`;
   }
 
-  generateTOCNCX(uuid, metadata, images) {
-    const navPoints = images
-      .map(
-        (img, i) => `
-    <navPoint id="navPoint-${i + 1}" playOrder="${i + 1}">
-      <navLabel><text>Page ${i + 1}</text></navLabel>
-      <content src="text/page_${String(i + 1).padStart(3, "0")}.xhtml"/>
-    </navPoint>`
-      )
-      .join("");
+  // Books whose pages all share one orientation ask to be read holding the device that way
+  getOrientation(images) {
+    const landscape = images.filter((img) => img.width > img.height).length;
+    if (landscape === 0) return "portrait";
+    return landscape === images.length ? "landscape" : "auto";
+  }
+
+  // Pieces of a split page face each other, left to right. Whole pages keep their side in
+  // print, where odd pages are on the right.
+  getPageSides(images) {
+    return images.map((img, i) => {
+      const split = img.part > 0 || images[i + 1]?.part > 0;
+      if (split) return img.part % 2 === 0 ? "left" : "right";
+      return img.pageNumber % 2 === 1 ? "right" : "left";
+    });
+  }
+
+  // Fixed-layout pages are laid out at the size of their image, which readers scale to fit
+  getViewport(image) {
+    return image?.width && image?.height
+      ? `width=${image.width}, height=${image.height}`
+      : "width=device-width, height=device-height, initial-scale=1.0";
+  }
+
+  generateTOCNCX(uuid, metadata, toc, pageCount) {
+    let playOrder = 0;
+    const renderNavPoints = (entries, indent) =>
+      entries
+        .map((entry) => {
+          playOrder++;
+          return `
+${indent}<navPoint id="navPoint-${playOrder}" playOrder="${playOrder}">
+${indent}  <navLabel><text>${this.escapeXml(entry.title)}</text></navLabel>
+${indent}  <content src="${entry.href}"/>${renderNavPoints(entry.children, indent + "  ")}
+${indent}</navPoint>`;
+        })
+        .join("");
+    const navPoints = renderNavPoints(toc, "    ");
 
     return `<?xml version="1.0" encoding="UTF-8"?>
 <!DOCTYPE ncx PUBLIC "-//NISO//DTD ncx 2005-1//EN" "http://www.daisy.org/z3986/2005/ncx-2005-1.dtd">
-<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1" xml:lang="${metadata.language}">
   <head>
     <meta name="dtb:uid" content="urn:uuid:${uuid}"/>
-    <meta name="dtb:depth" content="1"/>
-    <meta name="dtb:totalPageCount" content="${images.length}"/>
-    <meta name="dtb:maxPageNumber" content="${images.length}"/>
+    <meta name="dtb:depth" content="${Math.max(1, this.getTocDepth(toc))}"/>
+    <meta name="dtb:totalPageCount" content="${pageCount}"/>
+    <meta name="dtb:maxPageNumber" content="${pageCount}"/>
   </head>
   <docTitle><text>${this.escapeXml(metadata.title)}</text></docTitle>
-  <navMap>${navPoints}</navMap>
+  <navMap>${navPoints}
+  </navMap>
 </ncx>`;
   }
 
-  generateNavXHTML(metadata, images) {
-    const navItems = images
-      .map(
-        (img, i) =>
-          `        <li><a href="text/page_${String(i + 1).padStart(3, "0")}.xhtml">Page ${i + 1}</a></li>`
-      )
-      .join("\n");
+  generateNavXHTML(metadata, toc) {
+    const renderItems = (entries, indent) =>
+      entries
+        .map((entry) => {
+          const link = `<a href="${entry.href}">${this.escapeXml(entry.title)}</a>`;
+          if (entry.children.length === 0) return `${indent}<li>${link}</li>`;
+          return `${indent}<li>${link}
+${indent}  <ol>
+${renderItems(entry.children, indent + "    ")}
+${indent}  </ol>
+${indent}</li>`;
+        })
+        .join("\n");
+    const navItems = renderItems(toc, "      ");
     return `<?xml version="1.0" encoding="UTF-8"?>
 <!DOCTYPE html>
-<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${metadata.language}" lang="${metadata.language}">
 <head>
   <title>${this.escapeXml(metadata.title)}</title>
   <meta charset="UTF-8"/>
@@ -421,74 +1332,270 @@ ${spineItems}
 <body>
   <nav epub:type="toc">
     <h1>Table of Contents</h1>
-    <ol>${navItems}</ol>
+    <ol>
+${navItems}
+    </ol>
   </nav>
 </body>
 </html>`;
   }
 
   generateCSS(config) {
+    const noteStyles = config.preserveAnnotations
+      ? `
+.note { margin: 0 0 1.2em; }
+.note p { text-indent: 0; text-align: left; }
+.note-quote { font-style: italic; }
+.note-source { font-size: 0.8em; }`
+      : "";
+
+    if (config.layoutMode === "reflow") {
+      return `body { margin: 0 4%; line-height: 1.4; }
+h1, h2, h3, h4, h5, h6 { line-height: 1.2; text-align: left; page-break-after: avoid; }
+h1 { font-size: 1.6em; margin: 1em 0 0.8em; }
+h2 { font-size: 1.3em; margin: 1em 0 0.6em; }
+h3, h4, h5, h6 { font-size: 1.1em; margin: 0.8em 0 0.4em; }
+p { margin: 0; text-indent: 1.2em; text-align: justify; }
+h1 + p, h2 + p, h3 + p, h4 + p, h5 + p, h6 + p, figure + p { text-indent: 0; }
+figure { margin: 1em 0; text-align: center; page-break-inside: avoid; }
+figure img { max-width: 100%; height: auto; }
+.cover { margin: 0; text-align: center; page-break-after: always; }
+.cover img { max-width: 100%; max-height: 100vh; }${noteStyles}`;
+    }
+
     return `body, html { margin: 0; padding: 0; }
 .page-container { width: 100vw; height: 100vh; display: flex; align-items: center; justify-content: center; position: relative; }
-.page-image { max-width: 100%; max-height: 100%; object-fit: contain; }
+.page-frame { position: relative; max-width: 100%; max-height: 100%; }
+.page-image { display: block; max-width: 100%; max-height: 100vh; object-fit: contain; }
+.page-link { position: absolute; display: block; }
+.cover { margin: 0; text-align: center; }
+.cover img { max-width: 100%; max-height: 100vh; }
 .page-text { position: absolute; top: 0; left: 0; width: 100%; height: 100%; color: transparent; z-index: -1; overflow: hidden; font-size: 1px; }
-${config.preserveAnnotations ? ".annotation-layer { position: absolute; top: 0; left: 0; width: 100%; height: 100%; }" : ""}`;
+${config.preserveAnnotations ? ".annotation-layer { position: absolute; top: 0; left: 0; width: 100%; height: 100%; pointer-events: none; }" : ""}
+${config.preserveAnnotations ? ".note-marker { position: absolute; pointer-events: auto; padding: 0 0.3em; font-size: 0.7em; line-height: 1.4; color: #000; background: #fff; border: 1px solid #000; border-radius: 0.7em; text-decoration: none; }" : ""}${noteStyles}`;
   }
 
-  generatePageHTML(image, textContent, pageNum, metadata, config) {
+  generatePageHTML(image, textContent, pageNum, metadata, config, links = []) {
+    // Hotspots are placed in percent of the image, so they follow it however it is scaled
+    const hotspots = links
+      .map((link) => {
+        const style = ["left", "top", "width", "height"]
+          .map((side) => `${side}: ${(link[side] * 100).toFixed(2)}%`)
+          .join("; ");
+        return `
+      <a class="page-link" href="${this.escapeXml(link.href)}" style="${style}" aria-label="${this.escapeXml(link.label)}"></a>`;
+      })
+      .join("");
+    // Numbered markers sit at the top left of each annotation and open its note
+    const markers = (image.notes || [])
+      .map(
+        (note) => `
+        <a class="note-marker" epub:type="noteref" href="annotations.xhtml#${note.id}" style="left: ${(note.left * 100).toFixed(2)}%; top: ${(note.top * 100).toFixed(2)}%">${note.number}</a>`
+      )
+      .join("");
     return `<?xml version="1.0" encoding="UTF-8"?>
 <!DOCTYPE html>
-<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${metadata.language}" lang="${metadata.language}">
 <head>
   <title>${this.escapeXml(metadata.title)} - Page ${pageNum}</title>
   <link rel="stylesheet" type="text/css" href="../css/style.css"/>
   <meta charset="UTF-8"/>
-  <meta name="viewport" content="width=device-width, height=device-height, initial-scale=1.0"/>
+  <meta name="viewport" content="${this.getViewport(image)}"/>
 </head>
 <body>
   <div class="page-container">
-    <img class="page-image" src="../${image.href}" alt="Page ${pageNum}"/>
+    <div class="page-frame">
+      <img class="page-image" src="../${image.href}" alt="Page ${pageNum}"/>${hotspots}
+      ${config.preserveAnnotations && markers ? `<div class="annotation-layer">${markers}\n      </div>` : ""}
+    </div>
     ${config.includeMetadata ? `<div class="page-text" aria-hidden="true">${this.escapeXml(textContent)}</div>` : ""}
-    ${config.preserveAnnotations ? '<div class="annotation-layer"></div>' : ""}
   </div>
 </body>
 </html>`;
   }
 
+  generateCoverHTML(cover, metadata, config) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${metadata.language}" lang="${metadata.language}">
+<head>
+  <title>${this.escapeXml(metadata.title)}</title>
+  <link rel="stylesheet" type="text/css" href="../css/style.css"/>
+  <meta charset="UTF-8"/>
+  ${config.layoutMode !== "reflow" ? `<meta name="viewport" content="${this.getViewport(cover)}"/>` : ""}
+</head>
+<body epub:type="cover">
+  <div class="cover">
+    <img src="../${cover.href}" alt="${this.escapeXml(metadata.title)}"/>
+  </div>
+</body>
+</html>`;
+  }
+
+  // Each note names its page and links back to it, so it also reads as a list of highlights
+  generateNotesHTML(notes, documents, metadata) {
+    const entries = notes
+      .map((note) => {
+        const page = basename(this.findPageDocument(documents, note.pageIndex).href);
+        const source = [
+          `<a href="${page}">Page ${note.pageIndex + 1}</a>`,
+          note.type,
+          note.author && this.escapeXml(note.author),
+        ].filter(Boolean);
+        return `    <aside epub:type="endnote" id="${note.id}" class="note">
+      <p class="note-number">${note.number}.</p>
+${note.quote ? `      <p class="note-quote">${this.escapeXml(note.quote)}</p>\n` : ""}${note.text ? `      <p>${this.escapeXml(note.text).replace(/\r?\n/g, "<br/>")}</p>\n` : ""}      <p class="note-source">${source.join(" · ")}</p>
+    </aside>`;
+      })
+      .join("\n");
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${metadata.language}" lang="${metadata.language}">
+<head>
+  <title>${this.escapeXml(metadata.title)} - Annotations</title>
+  <link rel="stylesheet" type="text/css" href="../css/style.css"/>
+  <meta charset="UTF-8"/>
+</head>
+<body>
+  <section epub:type="endnotes">
+    <h1>Annotations</h1>
+${entries}
+  </section>
+</body>
+</html>`;
+  }
+
+  generateChapterHTML(chapter, metadata) {
+    const body = chapter.blocks
+      .map((block) => {
+        switch (block.type) {
+          case "heading": {
+            // Headings are bold already, so only italics are carried over
+            const spans = block.spans.map((span) => ({ ...span, bold: false }));
+            return `    <h${block.level}>${this.renderSpans(spans)}</h${block.level}>`;
+          }
+          case "figure":
+            return `    <figure><img src="../${block.image.href}" alt=""/></figure>`;
+          default:
+            return `    <p>${this.renderSpans(block.spans)}</p>`;
+        }
+      })
+      .join("\n");
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${metadata.language}" lang="${metadata.language}">
+<head>
+  <title>${this.escapeXml(chapter.title || metadata.title)}</title>
+  <link rel="stylesheet" type="text/css" href="../css/style.css"/>
+  <meta charset="UTF-8"/>
+</head>
+<body>
+  <section epub:type="chapter">
+${body}
+  </section>
+</body>
+</html>`;
+  }
+
+  renderSpans(spans) {
+    return spans
+      .map((span) => {
+        let html = this.escapeXml(span.text);
+        if (span.italic) html = `<em>${html}</em>`;
+        if (span.bold) html = `<strong>${html}</strong>`;
+        return html;
+      })
+      .join("")
+      .trim();
+  }
+
+  async buildReflowContent(pdfPath, pdfDoc, pageNumbers, epubDir, ocrResults, config, job) {
+    const builder = new ReflowBuilder();
+
+    // Scanned documents only have OCR text, so paragraphs are rebuilt from that instead
+    if (ocrResults) {
+      const { chapters } = builder.buildFromText(
+        ocrResults.pages.map((p) => p.text),
+        ocrResults.pages.map((p) => p.pageNumber)
+      );
+      return { images: [], chapters };
+    }
+
+    const { chapters, figures } = await builder.build(pdfDoc, pageNumbers, (page, rect, index) => {
+      job?.throwIfCancelled();
+      return this.renderFigure(pdfPath, page, rect, index, epubDir, config, job);
+    });
+    return { images: figures, chapters };
+  }
+
+  async renderFigure(pdfPath, pageNumber, rect, index, epubDir, config, job) {
+    const name = `figure_${String(index).padStart(3, "0")}`;
+    // At the screen's own PPI a figure keeps its printed size on the device
+    const profile = this.deviceProfiles.get(config.deviceProfile);
+
+    await this.renderPool.run(
+      {
+        renderer: await this.getRenderer(job, config),
+        pdfPath,
+        password: job?.password,
+        pageIndex: pageNumber - 1,
+        density: profile?.ppi ?? 150,
+        rect,
+        outputPath: join(epubDir, "OEBPS", "images", `${name}.jpg`),
+        grayscale: config.grayscale,
+        maxWidth: profile?.width ?? config.imageMaxWidth,
+        maxHeight: profile?.height ?? null,
+        quality: this.getJpegQuality(config),
+      },
+      { signal: job?.signal }
+    );
+
+    return { id: name, href: `images/${name}.jpg`, mediaType: "image/jpeg" };
+  }
+
+  async getRenderer(job, config, password = job?.password) {
+    // Resolved once per job, and only for jobs that actually rasterize pages
+    const options = { encrypted: !!password };
+    if (!job) return this.pdfRenderers.resolve(config.pdfRenderer, options);
+    job.renderer ??= await this.pdfRenderers.resolve(config.pdfRenderer, options);
+    return job.renderer;
+  }
+
+  getJpegQuality(config) {
+    let quality = config.imageQuality;
+    if (config.compressionLevel === "maximum") {
+      quality = Math.min(quality, 70);
+    } else if (config.compressionLevel === "minimum") {
+      quality = Math.max(quality, 90);
+    }
+    return quality;
+  }
+
   async convertToEPUB(epubDir, outputPath, config) {
     // eslint-disable-next-line no-unused-vars
     console.log("Convert to EPUB config:", config); // Placeholder for future EPUB-specific options
     await this.packageEPUB(epubDir, outputPath);
-    return outputPath;
+    return { outputPath, backend: "native" };
   }
 
-  async convertToMOBI(epubDir, outputPath, config) {
-    // eslint-disable-next-line no-unused-vars
-    console.log("Convert to MOBI config:", config); // Placeholder for future MOBI-specific options
-    // First create EPUB, then convert to MOBI
-    const tempEpubPath = outputPath.replace(".mobi", ".epub");
-    await this.packageEPUB(epubDir, tempEpubPath);
-
-    try {
-      // Try to convert EPUB to MOBI using calibre if available
-      await this.convertEPUBToMOBI(tempEpubPath, outputPath);
-      // Clean up temporary EPUB
-      await fs.unlink(tempEpubPath).catch(() => {});
-      return outputPath;
-    } catch (error) {
-      console.warn("MOBI conversion failed, falling back to EPUB:", error.message);
-      // Rename EPUB to MOBI as fallback (it's still readable on most devices)
-      await fs.rename(tempEpubPath, outputPath);
-      return outputPath;
+  async convertToMOBI(epubDir, outputPath, config, job) {
+    if (config.mobiBackend !== "native") {
+      return this.convertWithBackend(config.mobiBackend, "mobi", epubDir, outputPath, config, job);
     }
+    // Written straight from the staged EPUB tree, so Calibre is not needed
+    await new MobiWriter().write(epubDir, outputPath);
+    return { outputPath, backend: "native" };
   }
 
-  async convertToPDF(epubDir, outputPath, config, images) {
+  async convertToPDF(epubDir, outputPath, config, images, metadata) {
     // For PDF output, create an optimized PDF from the images
     try {
-      const { PDFDocument } = await import("pdf-lib");
+      const { PDFDocument, PDFName, PDFString } = await import("pdf-lib");
       const pdfDoc = await PDFDocument.create();
 
+      const pages = [];
       for (const image of images) {
         const imagePath = join(epubDir, "OEBPS", image.href);
         const imageBuffer = await fs.readFile(imagePath);
@@ -509,35 +1616,80 @@ ${config.preserveAnnotations ? ".annotation-layer { position: absolute; top: 0;
           width: pdfImage.width,
           height: pdfImage.height,
         });
+        pages.push(page);
       }
 
+      // Links go in once every page exists, since internal ones may point forward
+      images.forEach((image, i) => {
+        if (!image.links?.length) return;
+        const { width, height } = pages[i].getSize();
+        const annotations = image.links.map((link) =>
+          pdfDoc.context.register(
+            pdfDoc.context.obj({
+              Type: "Annot",
+              Subtype: "Link",
+              // PDF rectangles are measured from the bottom left of the page
+              Rect: [
+                link.left * width,
+                (1 - link.top - link.height) * height,
+                (link.left + link.width) * width,
+                (1 - link.top) * height,
+              ],
+              Border: [0, 0, 0],
+              ...(link.url
+                ? { A: { Type: "Action", S: "URI", URI: PDFString.of(link.url) } }
+                : { Dest: [pages[link.targetIndex].ref, "Fit"] }),
+            })
+          )
+        );
+        pages[i].node.set(PDFName.of("Annots"), pdfDoc.context.obj(annotations));
+      });
+
+      // The Info dictionary holds what PDF readers show; the rest only fits in XMP
+      pdfDoc.setTitle(metadata.title, { showInWindowTitleBar: true });
+      if (metadata.authors.length > 0) {
+        pdfDoc.setAuthor(metadata.authors.map((author) => author.name).join("; "));
+      }
+      if (metadata.description) pdfDoc.setSubject(metadata.description);
+      if (metadata.tags.length > 0) pdfDoc.setKeywords([metadata.tags.join(", ")]);
+      pdfDoc.setLanguage(metadata.language);
+      const xmp = pdfDoc.context.stream(Buffer.from(this.generateXMP(metadata), "utf8"), {
+        Type: "Metadata",
+        Subtype: "XML",
+      });
+      pdfDoc.catalog.set(PDFName.of("Metadata"), pdfDoc.context.register(xmp));
+
       const pdfBytes = await pdfDoc.save();
       await fs.writeFile(outputPath, pdfBytes);
-      return outputPath;
+      return { outputPath, backend: "native" };
     } catch (error) {
       console.warn("PDF creation failed:", error.message);
       throw new Error(`PDF conversion failed: ${error.message}`);
     }
   }
 
-  async convertToAZW3(epubDir, outputPath, config) {
-    // eslint-disable-next-line no-unused-vars
-    console.log("Convert to AZW3 config:", config); // Placeholder for future AZW3-specific options
-    // AZW3 conversion is similar to MOBI but requires different tools
-    // For now, fall back to EPUB format with AZW3 extension
-    const tempEpubPath = outputPath.replace(".azw3", ".epub");
-    await this.packageEPUB(epubDir, tempEpubPath);
-
-    try {
-      // Try to convert using calibre if available
-      await this.convertEPUBToAZW3(tempEpubPath, outputPath);
-      await fs.unlink(tempEpubPath).catch(() => {});
-      return outputPath;
-    } catch (error) {
-      console.warn("AZW3 conversion failed, using EPUB format:", error.message);
-      await fs.rename(tempEpubPath, outputPath);
-      return outputPath;
+  async convertToAZW3(epubDir, outputPath, config, job) {
+    if (config.azw3Backend !== "native") {
+      return this.convertWithBackend(config.azw3Backend, "azw3", epubDir, outputPath, config, job);
     }
+    // KF8 keeps the fixed-layout metadata that comics and scanned books rely on
+    await new KF8Writer().write(epubDir, outputPath);
+    return { outputPath, backend: "native" };
+  }
+
+  async convertWithBackend(backendId, format, epubDir, outputPath, config, job) {
+    // External converters read a packaged EPUB rather than the staging folder
+    const epubPath = join(job.tempDir, `${basename(outputPath, extname(outputPath))}.epub`);
+    await this.packageEPUB(epubDir, epubPath);
+    await this.backends.run(backendId, {
+      inputPath: epubPath,
+      outputPath,
+      format,
+      config,
+      log: job.log,
+      signal: job.signal,
+    });
+    return { outputPath, backend: backendId };
   }
 
   async packageEPUB(epubDir, outputPath) {
@@ -554,60 +1706,13 @@ ${config.preserveAnnotations ? ".annotation-layer { position: absolute; top: 0;
     });
   }
 
-  async convertEPUBToMOBI(epubPath, mobiPath) {
-    // Try to use calibre's ebook-convert command
-    const { spawn } = await import("child_process");
-    return new Promise((resolve, reject) => {
-      const process = spawn("ebook-convert", [epubPath, mobiPath], {
-        stdio: "inherit",
-      });
-
-      process.on("close", (code) => {
-        if (code === 0) {
-          resolve();
-        } else {
-          reject(new Error(`ebook-convert failed with code ${code}`));
-        }
-      });
-
-      process.on("error", (error) => {
-        reject(new Error(`Failed to start ebook-convert: ${error.message}`));
-      });
-
-      // Timeout after 5 minutes
-      setTimeout(() => {
-        process.kill();
-        reject(new Error("MOBI conversion timed out"));
-      }, 300000);
-    });
-  }
-
-  async convertEPUBToAZW3(epubPath, azw3Path) {
-    // Similar to MOBI conversion but targeting AZW3
-    const { spawn } = await import("child_process");
-    return new Promise((resolve, reject) => {
-      const process = spawn("ebook-convert", [epubPath, azw3Path], {
-        stdio: "inherit",
-      });
-
-      process.on("close", (code) => {
-        if (code === 0) {
-          resolve();
-        } else {
-          reject(new Error(`ebook-convert failed with code ${code}`));
-        }
-      });
-
-      process.on("error", (error) => {
-        reject(new Error(`Failed to start ebook-convert: ${error.message}`));
-      });
-
-      // Timeout after 5 minutes
-      setTimeout(() => {
-        process.kill();
-        reject(new Error("AZW3 conversion timed out"));
-      }, 300000);
-    });
+  async validateEPUB(epubPath) {
+    try {
+      return await this.epubValidator.validate(epubPath);
+    } catch (error) {
+      console.warn("EPUB validation failed:", error.message);
+      return null;
+    }
   }
 
   async optimizeForKindle(epubPath) {
@@ -621,6 +1726,62 @@ ${config.preserveAnnotations ? ".annotation-layer { position: absolute; top: 0;
     return true;
   }
 
+  async shutdown() {
+    await this.renderPool.shutdown();
+  }
+
+  // Dublin Core for PDF readers and libraries, and the calibre series fields, which are
+  // what calibre reads and writes for the same data
+  generateXMP(metadata) {
+    const list = (type, values) =>
+      `<rdf:${type}>${values.map((value) => `<rdf:li>${this.escapeXml(value)}</rdf:li>`).join("")}</rdf:${type}>`;
+    const text = (value) =>
+      `<rdf:Alt><rdf:li xml:lang="x-default">${this.escapeXml(value)}</rdf:li></rdf:Alt>`;
+    const properties = [
+      `<dc:title>${text(metadata.title)}</dc:title>`,
+      metadata.authors.length > 0
+        ? `<dc:creator>${list(
+            "Seq",
+            metadata.authors.map((author) => author.name)
+          )}</dc:creator>`
+        : "",
+      metadata.description ? `<dc:description>${text(metadata.description)}</dc:description>` : "",
+      metadata.tags.length > 0 ? `<dc:subject>${list("Bag", metadata.tags)}</dc:subject>` : "",
+      metadata.publisher ? `<dc:publisher>${list("Bag", [metadata.publisher])}</dc:publisher>` : "",
+      `<dc:language>${list("Bag", [metadata.language])}</dc:language>`,
+      this.bookMetadata.isValidISBN(metadata.isbn)
+        ? `<prism:isbn>${metadata.isbn}</prism:isbn>`
+        : "",
+      this.bookMetadata.isValidDOI(metadata.doi)
+        ? `<prism:doi>${this.escapeXml(metadata.doi)}</prism:doi>`
+        : "",
+      metadata.authors.length === 1
+        ? `<calibre:author_sort>${this.escapeXml(metadata.authors[0].sortAs)}</calibre:author_sort>`
+        : "",
+      metadata.series
+        ? `<calibre:series rdf:parseType="Resource"><rdf:value>${this.escapeXml(metadata.series)}</rdf:value>` +
+          (metadata.seriesIndex !== null
+            ? `<calibreSI:series_index>${metadata.seriesIndex}</calibreSI:series_index>`
+            : "") +
+          "</calibre:series>"
+        : "",
+    ].filter(Boolean);
+
+    return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:dc="http://purl.org/dc/elements/1.1/"
+        xmlns:prism="http://prismstandard.org/namespaces/basic/3.0/"
+        xmlns:calibre="http://calibre-ebook.com/xmp-namespace"
+        xmlns:calibreSI="http://calibre-ebook.com/xmp-namespace-series-index">
+      ${properties.join("\n      ")}
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+  }
+
   escapeXml(text) {
     return text.replace(
       /[<>&"']/g,
@@ -635,26 +1796,14 @@ ${config.preserveAnnotations ? ".annotation-layer { position: absolute; top: 0;
     );
   }
 
-  async cleanup() {
-    if (this.tempDir) {
-      await fs
-        .rm(this.tempDir, { recursive: true, force: true })
-        .catch((err) => console.error("Error cleaning up temp dir:", err));
-      this.tempDir = null;
-    }
-    if (this.ocrProcessor) {
-      await this.ocrProcessor.terminate().catch(() => {});
-      this.ocrProcessor = null;
-    }
-  }
-
-  async checkIfNeedsOCR(pdfDoc, config) {
+  async checkIfNeedsOCR(pdfDoc, config, pageNumbers) {
     if (!config.autoDetectScanned && !config.enableOCR) return false;
 
     let textLength = 0;
-    const numPagesToCheck = Math.min(pdfDoc.numPages, 5); // Check first 5 pages
-    for (let i = 1; i <= numPagesToCheck; i++) {
-      const page = await pdfDoc.getPage(i);
+    const pagesToCheck = pageNumbers.slice(0, 5); // Check first 5 selected pages
+    const numPagesToCheck = pagesToCheck.length;
+    for (const pageNumber of pagesToCheck) {
+      const page = await pdfDoc.getPage(pageNumber);
       const content = await page.getTextContent();
       textLength += content.items.map((item) => item.str).join("").length;
     }
@@ -662,16 +1811,23 @@ ${config.preserveAnnotations ? ".annotation-layer { position: absolute; top: 0;
     return avgTextPerPage < 100; // Threshold for considering a PDF scanned
   }
 
-  async performOCR(pdfPath, config, progressCallback) {
+  async performOCR(job, pdfPath, pageNumbers, config, progressCallback) {
     try {
-      if (!this.ocrProcessor) this.ocrProcessor = new OCRProcessor();
+      const ocrProcessor = job.getOCRProcessor();
 
       const ocrProgress = (p) => progressCallback?.(15 + p.progress * 0.05);
-      await this.ocrProcessor.initialize(config.ocrLanguages, ocrProgress);
+      await ocrProcessor.initialize(config.ocrLanguages, ocrProgress);
 
-      const results = await this.ocrProcessor.processPDF(
+      // Pages are rasterized by the same renderer and workers as the rest of the conversion
+      const renderer = await this.getRenderer(job, config);
+      const results = await ocrProcessor.processPDF(
         pdfPath,
-        { languages: config.ocrLanguages },
+        {
+          languages: config.ocrLanguages,
+          pageNumbers,
+          renderPage: (pageIndex, density) =>
+            this.rasterizePage(renderer, pdfPath, pageIndex, density, job.signal, job.password),
+        },
         ocrProgress
       );
 
@@ -684,8 +1840,9 @@ ${config.preserveAnnotations ? ".annotation-layer { position: absolute; top: 0;
   }
 
   applySyncOptimization(config) {
-    // Apply sync-specific optimizations
-    if (config.optimizeForSync) {
+    // Apply sync-specific optimizations. With a target size the settings are instead fitted
+    // to the book from sample pages, starting at the chosen quality.
+    if (config.optimizeForSync && config.syncTargetSize === "no-limit") {
       // Aggressive compression for sync optimization
       config.compressionLevel = "maximum";
 
@@ -735,63 +1892,45 @@ ${config.preserveAnnotations ? ".annotation-layer { position: absolute; top: 0;
     }
   }
 
-  async optimizeForSyncTarget(config, inputPath) {
+  getSyncTargetSize(config, inputSize) {
     if (!config.optimizeForSync || config.syncTargetSize === "no-limit") {
-      return;
+      return null;
     }
-
-    try {
-      // Get input file size
-      const inputStats = await fs.stat(inputPath);
-      const inputSizeMB = inputStats.size / (1024 * 1024);
-
-      // Determine target size
-      let targetSizeMB;
-      switch (config.syncTargetSize) {
-        case "10":
-          targetSizeMB = 10;
-          break;
-        case "25":
-          targetSizeMB = 25;
-          break;
-        case "50":
-          targetSizeMB = 50;
-          break;
-        case "auto":
-        default:
-          // Auto mode: aim for 70% reduction or 50MB max, whichever is smaller
-          targetSizeMB = Math.min(inputSizeMB * 0.3, 50);
-          break;
-      }
-
-      // If input is already smaller than target, no need for aggressive optimization
-      if (inputSizeMB <= targetSizeMB) {
-        console.log(`Input file (${inputSizeMB.toFixed(1)}MB) is already smaller than target size`);
-        return;
-      }
-
-      // Calculate required compression ratio
-      const requiredRatio = targetSizeMB / inputSizeMB;
-      console.log(
-        `Optimizing for ${targetSizeMB}MB target (input: ${inputSizeMB.toFixed(1)}MB, ratio: ${(requiredRatio * 100).toFixed(1)}%)`
-      );
-
-      // Apply aggressive optimization based on required compression ratio
-      if (requiredRatio < 0.3) {
-        // Need very aggressive compression
-        config.imageQuality = Math.max(30, config.imageQuality - 30);
-        config.imageMaxWidth = Math.max(600, config.imageMaxWidth - 400);
-        config.compressionLevel = "maximum";
-        console.log("Applying very aggressive optimization for large files");
-      } else if (requiredRatio < 0.5) {
-        // Need moderate compression
-        config.imageQuality = Math.max(50, config.imageQuality - 20);
-        config.imageMaxWidth = Math.max(800, config.imageMaxWidth - 200);
-        console.log("Applying moderate optimization for medium files");
-      }
-    } catch (error) {
-      console.warn("Could not optimize for sync target:", error.message);
+    const megabytes = Number(config.syncTargetSize);
+    if (Number.isFinite(megabytes) && megabytes > 0) {
+      return Math.round(megabytes * 1024 * 1024);
     }
+    // Auto mode: aim for 70% reduction or 50MB max, whichever is smaller
+    return Math.round(Math.min(inputSize * 0.3, 50 * 1024 * 1024));
+  }
+
+  async fitSizeTarget(job, pdfPath, pageRenders, targetSize, config) {
+    const renderer = await this.getRenderer(job, config);
+    const samples = this.sizeOptimizer.sampleIndexes(pageRenders.length).map((i) => pageRenders[i]);
+
+    return this.sizeOptimizer.fit({
+      ladder: this.sizeOptimizer.buildLadder(this.getJpegQuality(config), config.grayscale),
+      pieceCount: pageRenders.length,
+      targetBytes: targetSize,
+      // Encodes the sample pages without writing them and averages their size
+      measure: async (rung) => {
+        const results = await Promise.all(
+          samples.map((render) =>
+            this.renderPool.run(
+              {
+                renderer,
+                pdfPath,
+                password: job.password,
+                ...this.sizeOptimizer.apply(render, rung),
+                measure: true,
+              },
+              { signal: job.signal }
+            )
+          )
+        );
+        return results.reduce((sum, result) => sum + result.size, 0) / results.length;
+      },
+    });
   }
 }
 
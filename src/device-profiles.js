@@ -0,0 +1,35 @@
+// Density limits keep tiny stamps and huge posters within sensible render sizes
+const MIN_DENSITY = 36;
+const MAX_DENSITY = 600;
+
+class DeviceProfiles {
+  constructor() {
+    // Portrait screen size in pixels and the panel's pixel density
+    this.profiles = {
+      "kindle-scribe": { name: "Kindle Scribe", width: 1860, height: 2480, ppi: 300 },
+      "kindle-paperwhite": { name: "Kindle Paperwhite", width: 1236, height: 1648, ppi: 300 },
+      "kindle-oasis": { name: "Kindle Oasis", width: 1264, height: 1680, ppi: 300 },
+      "kindle-basic": { name: "Kindle Basic", width: 600, height: 800, ppi: 167 },
+      "kindle-2022": { name: "Kindle (2022)", width: 1072, height: 1448, ppi: 300 },
+      "kindle-colorsoft": { name: "Kindle Colorsoft", width: 1264, height: 1680, ppi: 300 },
+    };
+  }
+
+  get(id) {
+    const profile = this.profiles[id];
+    return profile ? { id, ...profile } : null;
+  }
+
+  getPageRender(profile, pageWidth, pageHeight) {
+    // Scale the page (in points) so it fills the screen in at least one direction. Rounding
+    // up leaves the final fit to shrink by a fraction of a pixel rather than fall short.
+    const scale = Math.min(profile.width / pageWidth, profile.height / pageHeight);
+    return {
+      density: Math.ceil(Math.min(MAX_DENSITY, Math.max(MIN_DENSITY, scale * 72))),
+      maxWidth: profile.width,
+      maxHeight: profile.height,
+    };
+  }
+}
+
+export { DeviceProfiles };
@@ -0,0 +1,442 @@
+import { promises as fs } from "fs";
+import { inflateRawSync } from "zlib";
+import { posix } from "path";
+
+const MIMETYPE = "application/epub+zip";
+const CONTAINER_PATH = "META-INF/container.xml";
+const XHTML_NAMESPACE = "http://www.w3.org/1999/xhtml";
+const XHTML_TYPE = "application/xhtml+xml";
+const NCX_TYPE = "application/x-dtbncx+xml";
+// The only named entities an XHTML file may use without a DTD
+const XML_ENTITIES = new Set(["amp", "lt", "gt", "quot", "apos"]);
+// Attributes that point at other files in the book
+const REFERENCE_ATTRIBUTES = ["href", "src", "xlink:href", "poster", "data"];
+
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_HEADER = 0x04034b50;
+
+class EPUBValidator {
+  // Checks a packaged book for the problems that make readers and Send to Kindle reject it.
+  // Messages carry epubcheck's codes, so they can be looked up and compared with its output.
+  async validate(epubPath) {
+    const messages = [];
+    const report = (severity, code, path, message) =>
+      messages.push({ severity, code, path, message });
+    const result = () => ({
+      errors: messages.filter((m) => m.severity === "error"),
+      warnings: messages.filter((m) => m.severity === "warning"),
+    });
+
+    let zip;
+    try {
+      zip = this.readZip(await fs.readFile(epubPath));
+    } catch (error) {
+      report("error", "PKG-008", "", `Unable to read the EPUB archive: ${error.message}`);
+      return result();
+    }
+
+    this.checkMimetype(zip, report);
+
+    const container = this.readXml(zip, CONTAINER_PATH, report);
+    if (!container) {
+      if (!zip.has(CONTAINER_PATH)) {
+        report("error", "RSC-002", CONTAINER_PATH, "Required container file could not be found");
+      }
+      return result();
+    }
+    const rootfile = this.findAll(container, "rootfile").find(
+      (element) => element.attributes["media-type"] === "application/oebps-package+xml"
+    );
+    const opfPath = rootfile?.attributes["full-path"];
+    if (!opfPath) {
+      report("error", "RSC-003", CONTAINER_PATH, "No rootfile with the package media type");
+      return result();
+    }
+    if (!zip.has(opfPath)) {
+      report("error", "OPF-002", opfPath, "The package document was not found in the EPUB");
+      return result();
+    }
+
+    const opf = this.readXml(zip, opfPath, report);
+    if (!opf) return result();
+    const book = this.checkPackage(zip, opfPath, opf, report);
+    this.checkDocuments(zip, book, report);
+    return result();
+  }
+
+  // Entries by name, in the order their data is stored, read from the central directory
+  readZip(buffer) {
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+      if (buffer.readUInt32LE(i) === ZIP_END_OF_DIRECTORY) {
+        end = i;
+        break;
+      }
+    }
+    if (end === -1) throw new Error("no ZIP central directory");
+
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      if (buffer.readUInt32LE(offset) !== ZIP_DIRECTORY_ENTRY) {
+        throw new Error("damaged ZIP central directory");
+      }
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const headerAt = buffer.readUInt32LE(offset + 42);
+      if (buffer.readUInt32LE(headerAt) !== ZIP_LOCAL_HEADER) {
+        throw new Error("damaged ZIP entry header");
+      }
+      const localNameLength = buffer.readUInt16LE(headerAt + 26);
+      const extraLength = buffer.readUInt16LE(headerAt + 28);
+      const dataAt = headerAt + 30 + localNameLength + extraLength;
+      entries.push({
+        name: buffer.toString("utf8", offset + 46, offset + 46 + nameLength),
+        method: buffer.readUInt16LE(offset + 10),
+        headerAt,
+        extraLength,
+        data: buffer.subarray(dataAt, dataAt + buffer.readUInt32LE(offset + 20)),
+      });
+      offset +=
+        46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+
+    entries.sort((a, b) => a.headerAt - b.headerAt);
+    return new Map(entries.filter((e) => !e.name.endsWith("/")).map((e) => [e.name, e]));
+  }
+
+  readEntry(zip, name) {
+    const entry = zip.get(name);
+    return entry.method === 0 ? entry.data : inflateRawSync(entry.data);
+  }
+
+  // Readers sniff the format from the first bytes of the file, so the mimetype has to come
+  // first, uncompressed and without extra fields
+  checkMimetype(zip, report) {
+    const [first] = zip.values();
+    if (first?.name !== "mimetype") {
+      report("error", "PKG-006", "mimetype", "The mimetype file is missing or not the first entry");
+      if (!zip.has("mimetype")) return;
+    }
+    const entry = zip.get("mimetype");
+    if (entry.method !== 0) {
+      report("error", "PKG-007", "mimetype", "The mimetype file must not be compressed");
+    } else if (entry.data.toString("latin1") !== MIMETYPE) {
+      report("error", "PKG-007", "mimetype", `The mimetype file must only contain "${MIMETYPE}"`);
+    }
+    if (entry.extraLength > 0) {
+      report("error", "PKG-005", "mimetype", "The mimetype entry must not have an extra field");
+    }
+  }
+
+  checkPackage(zip, opfPath, opf, report) {
+    const pkg = this.findAll(opf, "package")[0];
+    const base = posix.dirname(opfPath);
+    const book = { opfPath, items: new Map(), paths: new Set(), spine: [], nav: null, ncx: null };
+    if (!pkg) {
+      report("error", "RSC-005", opfPath, 'The root element must be "package"');
+      return book;
+    }
+
+    this.checkDuplicateIds(opf, opfPath, report);
+
+    const metadata = this.findAll(pkg, "metadata")[0];
+    for (const name of ["dc:identifier", "dc:title", "dc:language"]) {
+      if (!metadata || this.findAll(metadata, name).length === 0) {
+        report("error", "RSC-005", opfPath, `The metadata is missing the required "${name}"`);
+      }
+    }
+    const uniqueId = pkg.attributes["unique-identifier"];
+    const identifiers = metadata ? this.findAll(metadata, "dc:identifier") : [];
+    if (!identifiers.some((element) => element.attributes.id === uniqueId)) {
+      report("error", "OPF-030", opfPath, `The unique-identifier "${uniqueId}" was not found`);
+    }
+    const modified =
+      metadata &&
+      this.findAll(metadata, "meta").some(
+        (element) => element.attributes.property === "dcterms:modified"
+      );
+    if (pkg.attributes.version?.startsWith("3") && !modified) {
+      report("error", "RSC-005", opfPath, 'The metadata is missing "dcterms:modified"');
+    }
+
+    for (const item of this.findAll(pkg, "item")) {
+      const { id, href, properties = "" } = item.attributes;
+      const mediaType = item.attributes["media-type"];
+      if (!id || !href || !mediaType) {
+        report("error", "RSC-005", opfPath, "Manifest items need an id, href and media-type");
+        continue;
+      }
+      const path = this.resolvePath(base, href);
+      if (book.paths.has(path)) {
+        report("error", "OPF-074", opfPath, `"${href}" is declared in several manifest items`);
+      }
+      book.paths.add(path);
+      if (!zip.has(path)) {
+        report("error", "RSC-001", opfPath, `File "${href}" could not be found`);
+      }
+      const entry = { id, path, mediaType, properties: properties.split(/\s+/) };
+      book.items.set(id, entry);
+      if (entry.properties.includes("nav")) {
+        if (book.nav) {
+          report("error", "RSC-005", opfPath, 'Only one manifest item may have the "nav" property');
+        }
+        book.nav = entry;
+      }
+    }
+    if (pkg.attributes.version?.startsWith("3") && !book.nav) {
+      report("error", "RSC-005", opfPath, 'No manifest item has the "nav" property');
+    }
+
+    // Files readers will never see, since only the manifest says what is in the book
+    for (const name of zip.keys()) {
+      if (name === "mimetype" || name.startsWith("META-INF/") || name === opfPath) continue;
+      if (!book.paths.has(name)) {
+        report("warning", "OPF-003", name, "File is in the EPUB but not in the manifest");
+      }
+    }
+
+    const spine = this.findAll(pkg, "spine")[0];
+    const itemrefs = spine ? this.findAll(spine, "itemref") : [];
+    if (itemrefs.length === 0) {
+      report("error", "RSC-005", opfPath, "The spine has no items");
+    }
+    const seen = new Set();
+    for (const itemref of itemrefs) {
+      const { idref } = itemref.attributes;
+      const item = book.items.get(idref);
+      if (!item) {
+        report("error", "OPF-049", opfPath, `Spine item "${idref}" is not in the manifest`);
+        continue;
+      }
+      if (seen.has(idref)) {
+        report("error", "OPF-034", opfPath, `The spine lists "${idref}" more than once`);
+      }
+      seen.add(idref);
+      if (item.mediaType !== XHTML_TYPE && item.mediaType !== "image/svg+xml") {
+        report("error", "OPF-043", opfPath, `Spine item "${idref}" is not a content document`);
+      }
+      book.spine.push(item);
+    }
+
+    const toc = spine?.attributes.toc;
+    if (toc) {
+      book.ncx = book.items.get(toc);
+      if (book.ncx?.mediaType !== NCX_TYPE) {
+        report("error", "OPF-049", opfPath, `The spine toc "${toc}" is not an NCX in the manifest`);
+        book.ncx = null;
+      }
+    }
+
+    for (const reference of this.findAll(pkg, "reference")) {
+      const path = this.resolvePath(base, reference.attributes.href || "").split("#")[0];
+      if (!book.paths.has(path)) {
+        report(
+          "error",
+          "OPF-031",
+          opfPath,
+          `Guide reference "${reference.attributes.href}" is not in the manifest`
+        );
+      }
+    }
+    return book;
+  }
+
+  // Every content document has to parse as XML, keep its ids unique and only link to files
+  // and fragments the book has
+  checkDocuments(zip, book, report) {
+    const documents = new Map();
+    const spinePaths = new Set(book.spine.map((item) => item.path));
+
+    for (const item of book.items.values()) {
+      if (item.mediaType !== XHTML_TYPE && item.mediaType !== NCX_TYPE) continue;
+      if (!zip.has(item.path)) continue; // Already reported as missing
+      const root = this.readXml(zip, item.path, report);
+      if (!root) continue;
+      if (item.mediaType === XHTML_TYPE) {
+        const html = root.children[0];
+        if (html?.name !== "html" || html.attributes.xmlns !== XHTML_NAMESPACE) {
+          report(
+            "error",
+            "RSC-005",
+            item.path,
+            'The root element must be "html" in the XHTML namespace'
+          );
+        }
+      }
+      documents.set(item.path, { ids: this.checkDuplicateIds(root, item.path, report), root });
+    }
+
+    if (book.nav && documents.has(book.nav.path)) {
+      const hasToc = this.findAll(documents.get(book.nav.path).root, "nav").some((nav) =>
+        (nav.attributes["epub:type"] || "").split(/\s+/).includes("toc")
+      );
+      if (!hasToc) {
+        report("error", "RSC-005", book.nav.path, 'The navigation document has no "toc" nav');
+      }
+    }
+
+    for (const [path, { root }] of documents) {
+      const isNcx = book.ncx?.path === path;
+      for (const element of this.findAll(root)) {
+        if (isNcx && element.name !== "content") continue;
+        for (const attribute of REFERENCE_ATTRIBUTES) {
+          const value = element.attributes[attribute];
+          if (!value || /^[a-z][a-z0-9+.-]*:/i.test(value)) continue; // Web links and data URLs
+          const [file, fragment] = value.split("#");
+          const target = file ? this.resolvePath(posix.dirname(path), file) : path;
+
+          if (!zip.has(target)) {
+            report("error", "RSC-007", path, `Referenced resource "${value}" could not be found`);
+          } else if (!book.paths.has(target)) {
+            report(
+              "error",
+              "RSC-008",
+              path,
+              `Referenced resource "${value}" is not in the manifest`
+            );
+          } else if (
+            element.name === "a" &&
+            file &&
+            !spinePaths.has(target) &&
+            documents.has(target)
+          ) {
+            report("error", "RSC-011", path, `Link to "${value}" points outside the spine`);
+          } else if (
+            fragment &&
+            documents.has(target) &&
+            !documents.get(target).ids.has(fragment)
+          ) {
+            report(
+              "error",
+              "RSC-012",
+              path,
+              `Fragment "#${fragment}" is not defined in "${file || posix.basename(path)}"`
+            );
+          }
+        }
+      }
+    }
+  }
+
+  checkDuplicateIds(root, path, report) {
+    const ids = new Set();
+    for (const element of this.findAll(root)) {
+      const { id } = element.attributes;
+      if (id === undefined) continue;
+      if (ids.has(id)) report("error", "RSC-005", path, `Duplicate ID "${id}"`);
+      ids.add(id);
+    }
+    return ids;
+  }
+
+  // Parsed document, or null after reporting why it is not well-formed
+  readXml(zip, path, report) {
+    if (!zip.has(path)) return null;
+    try {
+      return this.parseXml(this.readEntry(zip, path).toString("utf8"));
+    } catch (error) {
+      report("error", "RSC-016", path, `Fatal error while parsing: ${error.message}`);
+      return null;
+    }
+  }
+
+  // A small non-validating XML reader: enough to walk elements and attributes, and to stop at
+  // the first place a document is not well-formed, as an XML parser would
+  parseXml(text) {
+    const root = { name: "#document", attributes: {}, children: [] };
+    const stack = [root];
+    const lineAt = (index) => text.slice(0, index).split("\n").length;
+    const fail = (message, index) => {
+      throw new Error(`${message} (line ${lineAt(index)})`);
+    };
+    const checkEntities = (value, index) => {
+      for (const [reference] of value.matchAll(/&[^;\s<&]*;?/g)) {
+        const name = reference.slice(1, -1);
+        const defined =
+          reference.endsWith(";") && (XML_ENTITIES.has(name) || /^#(\d+|x[0-9a-f]+)$/i.test(name));
+        if (!defined) fail(`Undefined or unescaped entity "${reference}"`, index);
+      }
+    };
+
+    const pattern =
+      /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>|<(\/?)([^\s/>]*)([^<>]*?)(\/?)>|</g;
+    let last = 0;
+    for (const match of text.matchAll(pattern)) {
+      const between = text.slice(last, match.index);
+      last = match.index + match[0].length;
+      const parent = stack[stack.length - 1];
+      if (between.trim()) {
+        if (parent === root) fail("Text outside the root element", match.index);
+        checkEntities(between, match.index);
+      }
+      if (match[0] === "<") fail('Unescaped "<" in text', match.index);
+      if (match[2] === undefined) continue; // Comment, CDATA, declaration or DOCTYPE
+
+      const [, closing, name, rest, selfClosing] = match;
+      if (!name) fail("Element without a name", match.index);
+      if (closing) {
+        if (rest.trim()) fail(`Malformed end tag "</${name}"`, match.index);
+        if (parent.name !== name) {
+          fail(`End tag "</${name}>" does not match "<${parent.name}>"`, match.index);
+        }
+        stack.pop();
+        continue;
+      }
+
+      const attributes = {};
+      const leftover = rest.replace(/\s*([^\s=]+)\s*=\s*("[^"]*"|'[^']*')/g, (_, key, quoted) => {
+        if (key in attributes) fail(`Duplicate attribute "${key}" on <${name}>`, match.index);
+        const value = quoted.slice(1, -1);
+        checkEntities(value, match.index);
+        attributes[key] = this.decodeEntities(value);
+        return "";
+      });
+      if (leftover.trim()) fail(`Malformed attributes on <${name}>`, match.index);
+      if (parent === root && root.children.length > 0) {
+        fail("More than one root element", match.index);
+      }
+
+      const element = { name, attributes, children: [] };
+      parent.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+    if (text.slice(last).trim()) fail("Text outside the root element", last);
+    if (stack.length > 1) fail(`Element <${stack[stack.length - 1].name}> is never closed`, last);
+    if (root.children.length === 0) fail("No root element", 0);
+    return root;
+  }
+
+  decodeEntities(value) {
+    const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+    return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (_, name) => {
+      if (name[0] !== "#") return named[name];
+      const code =
+        name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    });
+  }
+
+  // Descendants of an element, optionally only those with one name
+  findAll(element, name = null) {
+    const found = [];
+    for (const child of element.children) {
+      if (!name || child.name === name) found.push(child);
+      found.push(...this.findAll(child, name));
+    }
+    return found;
+  }
+
+  resolvePath(base, href) {
+    let path = href;
+    try {
+      path = decodeURIComponent(href);
+    } catch {
+      // Kept as written; a bad escape simply will not match a file
+    }
+    return posix.normalize(posix.join(base, path)).replace(/^\.\//, "");
+  }
+}
+
+export { EPUBValidator };
@@ -0,0 +1,596 @@
+import { promises as fs } from "fs";
+import { join } from "path";
+import { randomBytes } from "crypto";
+import { MobiWriter } from "./mobi-writer.js";
+
+const RECORD_SIZE = 4096;
+const CHUNK_SIZE = 8192;
+const INDX_HEADER_LENGTH = 192;
+const NULL_INDEX = 0xffffffff;
+const POSITION_PLACEHOLDER = "kindle:pos:fid:0000:off:0000000000";
+const IMAGE_TYPES = new Set(["image/jpeg", "image/png", "image/gif"]);
+
+// TAGX layouts as [name, tag, values per entry, control byte mask]
+const CHUNK_TAGS = [
+  ["selector", 2, 1, 1],
+  ["file", 3, 1, 2],
+  ["sequence", 4, 1, 4],
+  ["geometry", 6, 2, 8],
+];
+const SKELETON_TAGS = [
+  ["chunkCount", 1, 1, 3],
+  ["geometry", 6, 2, 12],
+];
+const NCX_TAGS = [
+  ["offset", 1, 1, 1],
+  ["length", 2, 1, 2],
+  ["label", 3, 1, 4],
+  ["depth", 4, 1, 8],
+  ["parent", 21, 1, 16],
+  ["firstChild", 22, 1, 32],
+  ["lastChild", 23, 1, 64],
+  ["posFid", 6, 2, 128],
+];
+
+// OPF <meta name> values that Kindle reads from EXTH records
+const LAYOUT_EXTH = {
+  "book-type": 123,
+  "orientation-lock": 124,
+  "original-resolution": 126,
+  "zero-gutter": 127,
+  "zero-margin": 128,
+  RegionMagnification: 132,
+  "primary-writing-mode": 525,
+};
+
+class KF8Writer extends MobiWriter {
+  async write(epubDir, outputPath) {
+    const publication = await this.readPublication(epubDir);
+    const images = this.createImageTable();
+    const book = await this.buildFlows(publication, images);
+    const text = Buffer.concat(book.flows);
+
+    const textRecords = this.buildTextRecords(text);
+    const textRecordCount = textRecords.length;
+    // Index records start on a four byte boundary
+    const textSize = textRecords.reduce((size, record) => size + record.length, 0);
+    if (textSize % 4 !== 0) textRecords.push(Buffer.alloc(4 - (textSize % 4)));
+
+    const chunkRecords = this.buildChunkIndex(book.chunks);
+    const skeletonRecords = this.buildSkeletonIndex(book.skeletons);
+    const ncxRecords = this.buildNCXIndex(book.toc);
+    const imageRecords = await this.buildImageRecords(publication, images);
+
+    const chunkIndex = 1 + textRecords.length;
+    const skeletonIndex = chunkIndex + chunkRecords.length;
+    const ncxIndex = skeletonIndex + skeletonRecords.length;
+    const firstResource = ncxIndex + ncxRecords.length;
+    const fdstRecord = firstResource + imageRecords.length;
+
+    const record0 = this.buildKF8Record0(publication, {
+      textLength: text.length,
+      textRecordCount,
+      firstNonTextRecord: 1 + textRecords.length,
+      chunkIndex,
+      skeletonIndex,
+      ncxIndex: ncxRecords.length > 0 ? ncxIndex : NULL_INDEX,
+      firstResource: imageRecords.length > 0 ? firstResource : NULL_INDEX,
+      resourceCount: imageRecords.length,
+      fdstRecord,
+      fdstCount: book.flows.length,
+      flisRecord: fdstRecord + 1,
+      fcisRecord: fdstRecord + 2,
+      coverOffset: images.coverOffset,
+      thumbnailOffset: images.thumbnailOffset,
+    });
+
+    const records = [
+      record0,
+      ...textRecords,
+      ...chunkRecords,
+      ...skeletonRecords,
+      ...ncxRecords,
+      ...imageRecords,
+      this.buildFDST(book.flows),
+      this.buildFLIS(),
+      this.buildFCIS(text.length),
+      Buffer.from([0xe9, 0x8e, 0x0d, 0x0a]), // End of file marker
+    ];
+    await fs.writeFile(outputPath, this.buildPDB(publication.metadata.title, records));
+    return outputPath;
+  }
+
+  async buildFlows(publication, images) {
+    // Each stylesheet becomes its own flow, numbered in order of first use
+    const stylesheets = new Map();
+    for (const item of publication.items.filter((i) => i.mediaType === "text/css")) {
+      stylesheets.set(item.path, await fs.readFile(join(publication.epubDir, item.path)));
+    }
+    const context = { publication, images, stylesheets, styles: [] };
+
+    const documents = [];
+    for (const [fileNumber, item] of publication.spine.entries()) {
+      const html = await fs.readFile(join(publication.epubDir, item.path), "utf8");
+      documents.push(this.prepareDocument(html, item.path, fileNumber, context));
+    }
+
+    // Positions are offsets into the documents as Kindle reassembles them
+    const skeletons = [];
+    const chunks = [];
+    const anchors = new Map();
+    let position = 0;
+    for (const doc of documents) {
+      anchors.set(doc.path, position + doc.bodyStart);
+      for (const [id, offset] of doc.ids) {
+        if (!anchors.has(`${doc.path}#${id}`)) anchors.set(`${doc.path}#${id}`, position + offset);
+      }
+
+      let chunkOffset = 0;
+      for (const [start, end] of doc.chunks) {
+        chunks.push({
+          insertPosition: position + start,
+          selector: `P-//*[@aid="${doc.aid}"]`,
+          file: doc.fileNumber,
+          sequence: chunks.length,
+          start: chunkOffset,
+          length: end - start,
+        });
+        chunkOffset += end - start;
+      }
+      skeletons.push({
+        file: doc.fileNumber,
+        chunkCount: doc.chunks.length,
+        start: position,
+        length: doc.data.length - chunkOffset,
+      });
+      position += doc.data.length;
+    }
+
+    const locate = (offset) => {
+      // Targets in a skeleton point at the start of the following chunk
+      for (const chunk of chunks) {
+        if (offset < chunk.insertPosition) return [chunk.sequence, 0];
+        if (offset < chunk.insertPosition + chunk.length) {
+          return [chunk.sequence, offset - chunk.insertPosition];
+        }
+      }
+      const last = chunks[chunks.length - 1];
+      return last ? [last.sequence, offset - last.insertPosition] : [0, 0];
+    };
+    const resolve = (target) =>
+      target ? (anchors.get(target) ?? anchors.get(target.split("#")[0]) ?? 0) : 0;
+
+    for (const doc of documents) {
+      for (const { offset, target } of doc.links) {
+        const [fid, off] = locate(resolve(target));
+        const href = `kindle:pos:fid:${this.toBase32(fid, 4)}:off:${this.toBase32(off, 10)}`;
+        doc.data.write(href, offset, "ascii");
+      }
+    }
+
+    // The first flow stores each skeleton followed by the chunks cut out of it
+    const markup = Buffer.concat(
+      documents.flatMap((doc) => {
+        const bodyStart = doc.chunks[0][0];
+        const bodyEnd = doc.chunks[doc.chunks.length - 1][1];
+        return [
+          doc.data.subarray(0, bodyStart),
+          doc.data.subarray(bodyEnd),
+          doc.data.subarray(bodyStart, bodyEnd),
+        ];
+      })
+    );
+
+    const toc = this.flattenToc(publication.toc);
+    for (const entry of toc) {
+      entry.offset = resolve(entry.target);
+      entry.posFid = locate(entry.offset);
+    }
+
+    return {
+      flows: [markup, ...context.styles.map((style) => style.data)],
+      skeletons,
+      chunks,
+      toc: { entries: toc, textLength: markup.length },
+    };
+  }
+
+  prepareDocument(html, docPath, fileNumber, { publication, images, stylesheets, styles }) {
+    const aid = this.toBase32(fileNumber, 1);
+    const targets = [];
+
+    const source = html
+      .replace(/^\uFEFF/, "")
+      .replace(/<!DOCTYPE[^>]*>\s*/i, "")
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/<([\w:-]+)\b[^>]*>/g, (tag, rawName) => {
+        const name = rawName.toLowerCase();
+        const attrs = this.parseAttributes(tag);
+
+        if (name === "body") {
+          return tag.replace(/\s*(\/?)>$/, ` aid="${aid}"$1>`);
+        }
+        if (name === "img" || name === "image") {
+          const attribute = name === "img" ? "src" : attrs.href ? "href" : "xlink:href";
+          const path = this.resolveHref(docPath, attrs[attribute]);
+          if (!path) return tag;
+          const item = publication.items.find((i) => i.path === path);
+          const mediaType = IMAGE_TYPES.has(item?.mediaType) ? item.mediaType : "image/jpeg";
+          const index = this.toBase32(images.add(path), 4);
+          return this.replaceAttribute(tag, attribute, `kindle:embed:${index}?mime=${mediaType}`);
+        }
+        if (name === "link" && /stylesheet/i.test(attrs.rel || "") && attrs.href) {
+          const path = this.resolveHref(docPath, attrs.href);
+          let flow = styles.findIndex((style) => style.path === path);
+          if (flow < 0) {
+            flow = styles.push({ path, data: stylesheets.get(path) ?? Buffer.alloc(0) }) - 1;
+          }
+          const href = `kindle:flow:${this.toBase32(flow + 1, 4)}?mime=text/css`;
+          return this.replaceAttribute(tag, "href", href);
+        }
+        if (name === "a" && attrs.href && !/^[a-z][a-z0-9+.-]*:/i.test(attrs.href)) {
+          // Internal links are patched once every chunk has its final position
+          targets.push(this.resolveHref(docPath, attrs.href));
+          return this.replaceAttribute(tag, "href", POSITION_PLACEHOLDER);
+        }
+        return tag;
+      });
+
+    const data = Buffer.from(source, "utf8");
+    // A latin1 view keeps string indices equal to byte offsets
+    const view = data.toString("latin1");
+
+    const body = view.match(/<body\b[^>]*>/i);
+    const bodyEnd = view.lastIndexOf("</body>");
+    if (!body || bodyEnd < 0) throw new Error(`${docPath} has no body element`);
+    const bodyStart = body.index + body[0].length;
+
+    const ids = [...view.matchAll(/<[\w:-]+\b[^>]*?\sid="([^"]+)"/g)].map((match) => [
+      Buffer.from(match[1], "latin1").toString("utf8"),
+      match.index,
+    ]);
+
+    const links = [];
+    let search = 0;
+    for (const target of targets) {
+      const offset = view.indexOf(POSITION_PLACEHOLDER, search);
+      links.push({ offset, target });
+      search = offset + POSITION_PLACEHOLDER.length;
+    }
+
+    return {
+      path: docPath,
+      fileNumber,
+      aid,
+      data,
+      bodyStart,
+      chunks: this.splitChunks(view, bodyStart, bodyEnd),
+      ids,
+      links,
+    };
+  }
+
+  splitChunks(view, start, end) {
+    // Chunks end between top-level body elements, close to CHUNK_SIZE bytes each
+    const boundaries = [];
+    const tags = /<(\/?)[\w:-]+\b[^>]*?(\/?)>/g;
+    tags.lastIndex = start;
+    let depth = 0;
+    for (let match = tags.exec(view); match && match.index < end; match = tags.exec(view)) {
+      if (!match[2]) depth += match[1] ? -1 : 1;
+      if (depth === 0) boundaries.push(match.index + match[0].length);
+    }
+
+    const ranges = [];
+    let chunkStart = start;
+    let previous = start;
+    for (const boundary of [...boundaries, end]) {
+      if (boundary - chunkStart > CHUNK_SIZE && previous > chunkStart) {
+        ranges.push([chunkStart, previous]);
+        chunkStart = previous;
+      }
+      previous = boundary;
+    }
+    if (chunkStart < end || ranges.length === 0) ranges.push([chunkStart, end]);
+    return ranges;
+  }
+
+  replaceAttribute(tag, name, value) {
+    return tag.replace(new RegExp(`(\\s${name}\\s*=\\s*")[^"]*(")`), (_, open, close) => {
+      return `${open}${value}${close}`;
+    });
+  }
+
+  flattenToc(entries, depth = 0, parent = null, flat = []) {
+    for (const entry of entries) {
+      const node = { title: entry.title || "Untitled", target: entry.target, depth, parent };
+      node.children = [];
+      flat.push(node);
+      parent?.children.push(node);
+      this.flattenToc(entry.children, depth + 1, node, flat);
+    }
+    return flat;
+  }
+
+  buildChunkIndex(chunks) {
+    const cncx = this.buildCNCX(chunks.map((chunk) => chunk.selector));
+    const entries = chunks.map((chunk) => ({
+      key: String(chunk.insertPosition).padStart(10, "0"),
+      values: {
+        selector: [cncx.offsets.get(chunk.selector)],
+        file: [chunk.file],
+        sequence: [chunk.sequence],
+        geometry: [chunk.start, chunk.length],
+      },
+    }));
+    return this.buildIndex(CHUNK_TAGS, entries, cncx.records);
+  }
+
+  buildSkeletonIndex(skeletons) {
+    // Kindle expects every skeleton value twice, as kindlegen writes them
+    const entries = skeletons.map((skeleton) => ({
+      key: `SKEL${String(skeleton.file).padStart(10, "0")}`,
+      values: {
+        chunkCount: [skeleton.chunkCount, skeleton.chunkCount],
+        geometry: [skeleton.start, skeleton.length, skeleton.start, skeleton.length],
+      },
+    }));
+    return this.buildIndex(SKELETON_TAGS, entries);
+  }
+
+  buildNCXIndex({ entries, textLength }) {
+    if (entries.length === 0) return [];
+
+    // Entries are ordered by depth and then position, which keeps chapter jumps linear
+    const sorted = [...entries].sort((a, b) => a.depth - b.depth || a.offset - b.offset);
+    sorted.forEach((entry, index) => (entry.index = index));
+
+    const cncx = this.buildCNCX(sorted.map((entry) => entry.title));
+    const keyWidth = Math.max(2, (sorted.length - 1).toString(16).length);
+    const indexEntries = sorted.map((entry) => {
+      const next = sorted
+        .filter((other) => other.depth <= entry.depth && other.offset > entry.offset)
+        .reduce((min, other) => Math.min(min, other.offset), textLength);
+      const values = {
+        offset: [entry.offset],
+        length: [next - entry.offset],
+        label: [cncx.offsets.get(entry.title)],
+        depth: [entry.depth],
+        posFid: entry.posFid,
+      };
+      if (entry.parent) values.parent = [entry.parent.index];
+      if (entry.children.length > 0) {
+        values.firstChild = [entry.children[0].index];
+        values.lastChild = [entry.children[entry.children.length - 1].index];
+      }
+      return {
+        key: entry.index.toString(16).toUpperCase().padStart(keyWidth, "0"),
+        values,
+      };
+    });
+    return this.buildIndex(NCX_TAGS, indexEntries, cncx.records);
+  }
+
+  buildIndex(tags, entries, cncxRecords = []) {
+    const recordLimit = 0x10000 - INDX_HEADER_LENGTH - 1048;
+    const blocks = [{ parts: [], offsets: [], size: 0, last: Buffer.alloc(0) }];
+
+    for (const entry of entries) {
+      const key = Buffer.from(entry.key, "utf8");
+      let control = 0;
+      const values = [];
+      for (const [name, , perEntry, mask] of tags) {
+        const tagValues = entry.values[name] || [];
+        const shift = Math.log2(mask & -mask);
+        control |= mask & ((tagValues.length / perEntry) << shift);
+        values.push(...tagValues.map((value) => this.encodeInt(value)));
+      }
+      const raw = Buffer.concat([
+        Buffer.from([key.length]),
+        key,
+        Buffer.from([control]),
+        ...values,
+      ]);
+
+      let block = blocks[blocks.length - 1];
+      if (block.size + block.offsets.length * 2 + raw.length + 2 > recordLimit) {
+        block = { parts: [], offsets: [], size: 0, last: Buffer.alloc(0) };
+        blocks.push(block);
+      }
+      block.offsets.push(INDX_HEADER_LENGTH + block.size);
+      block.parts.push(raw);
+      block.size += raw.length;
+      block.last = key;
+    }
+
+    const records = blocks.map((block) => {
+      const data = this.align(Buffer.concat(block.parts));
+      const idxt = this.align(
+        Buffer.concat([Buffer.from("IDXT"), ...block.offsets.map(this.uint16)])
+      );
+      const header = Buffer.alloc(INDX_HEADER_LENGTH);
+      header.write("INDX", 0, "ascii");
+      header.writeUInt32BE(INDX_HEADER_LENGTH, 4);
+      header.writeUInt32BE(1, 12); // Index data record
+      header.writeUInt32BE(INDX_HEADER_LENGTH + data.length, 20);
+      header.writeUInt32BE(block.offsets.length, 24);
+      header.fill(0xff, 28, 36);
+      return Buffer.concat([header, data, idxt]);
+    });
+
+    const tagx = Buffer.alloc(12 + (tags.length + 1) * 4);
+    tagx.write("TAGX", 0, "ascii");
+    tagx.writeUInt32BE(tagx.length, 4);
+    tagx.writeUInt32BE(1, 8); // One control byte per entry
+    tags.forEach(([, tag, perEntry, mask], i) => {
+      tagx.writeUInt8(tag, 12 + i * 4);
+      tagx.writeUInt8(perEntry, 13 + i * 4);
+      tagx.writeUInt8(mask, 14 + i * 4);
+    });
+    tagx.writeUInt8(1, 15 + tags.length * 4); // End of the tag table
+
+    // The header record lists the last key and entry count of each data record
+    const geometryParts = [];
+    const geometryOffsets = [];
+    let position = INDX_HEADER_LENGTH + tagx.length;
+    for (const block of blocks) {
+      const part = Buffer.concat([
+        Buffer.from([block.last.length]),
+        block.last,
+        this.uint16(block.offsets.length),
+      ]);
+      geometryOffsets.push(position);
+      geometryParts.push(part);
+      position += part.length;
+    }
+    const geometry = this.align(Buffer.concat(geometryParts));
+    const idxt = this.align(
+      Buffer.concat([Buffer.from("IDXT"), ...geometryOffsets.map(this.uint16)])
+    );
+
+    const header = Buffer.alloc(INDX_HEADER_LENGTH);
+    header.write("INDX", 0, "ascii");
+    header.writeUInt32BE(INDX_HEADER_LENGTH, 4);
+    header.writeUInt32BE(2, 16);
+    header.writeUInt32BE(INDX_HEADER_LENGTH + tagx.length + geometry.length, 20);
+    header.writeUInt32BE(records.length, 24);
+    header.writeUInt32BE(65001, 28); // UTF-8
+    header.writeUInt32BE(NULL_INDEX, 32);
+    header.writeUInt32BE(entries.length, 36);
+    header.writeUInt32BE(cncxRecords.length, 52);
+    header.writeUInt32BE(INDX_HEADER_LENGTH, 180); // TAGX offset
+
+    return [Buffer.concat([header, tagx, geometry, idxt]), ...records, ...cncxRecords];
+  }
+
+  buildCNCX(strings) {
+    // Index labels live in shared string records, addressed by record * 0x10000 + offset
+    const offsets = new Map();
+    const records = [];
+    let parts = [];
+    let size = 0;
+    for (const string of strings) {
+      if (offsets.has(string)) continue;
+      const data = Buffer.from(string.slice(0, 500), "utf8");
+      const raw = Buffer.concat([this.encodeInt(data.length), data]);
+      if (size + raw.length > 0x10000 - 1024) {
+        records.push(this.align(Buffer.concat(parts)));
+        parts = [];
+        size = 0;
+      }
+      offsets.set(string, records.length * 0x10000 + size);
+      parts.push(raw);
+      size += raw.length;
+    }
+    if (size > 0) records.push(this.align(Buffer.concat(parts)));
+    return { offsets, records };
+  }
+
+  buildFDST(flows) {
+    const fdst = Buffer.alloc(12 + flows.length * 8);
+    fdst.write("FDST", 0, "ascii");
+    fdst.writeUInt32BE(12, 4);
+    fdst.writeUInt32BE(flows.length, 8);
+    let start = 0;
+    flows.forEach((flow, i) => {
+      fdst.writeUInt32BE(start, 12 + i * 8);
+      fdst.writeUInt32BE(start + flow.length, 16 + i * 8);
+      start += flow.length;
+    });
+    return fdst;
+  }
+
+  buildKF8Record0(publication, layout) {
+    const { metadata } = publication;
+    const title = Buffer.from(metadata.title, "utf8");
+    const exth = this.buildEXTH(metadata, layout, this.getKF8Extras(publication, layout));
+    const header = Buffer.alloc(280);
+
+    header.writeUInt16BE(2, 0); // PalmDOC compression
+    header.writeUInt32BE(layout.textLength, 4);
+    header.writeUInt16BE(layout.textRecordCount, 8);
+    header.writeUInt16BE(RECORD_SIZE, 10);
+    header.write("MOBI", 16, "ascii");
+    header.writeUInt32BE(264, 20); // MOBI header length
+    header.writeUInt32BE(2, 24); // Mobipocket book
+    header.writeUInt32BE(65001, 28); // UTF-8
+    header.writeUInt32BE(randomBytes(4).readUInt32BE(0), 32);
+    header.writeUInt32BE(8, 36); // File version
+    header.fill(0xff, 40, 80);
+    header.writeUInt32BE(layout.firstNonTextRecord, 80);
+    header.writeUInt32BE(280 + exth.length, 84); // Full name offset
+    header.writeUInt32BE(title.length, 88);
+    header.writeUInt32BE(this.getLocale(metadata.language), 92);
+    header.writeUInt32BE(8, 104); // Minimum reader version
+    header.writeUInt32BE(layout.firstResource, 108);
+    header.writeUInt32BE(0x50, 128); // EXTH present
+    header.writeUInt32BE(NULL_INDEX, 164);
+    header.writeUInt32BE(NULL_INDEX, 168); // No DRM
+    header.writeUInt32BE(layout.fdstRecord, 192);
+    header.writeUInt32BE(layout.fdstCount, 196);
+    header.writeUInt32BE(layout.fcisRecord, 200);
+    header.writeUInt32BE(1, 204);
+    header.writeUInt32BE(layout.flisRecord, 208);
+    header.writeUInt32BE(1, 212);
+    header.writeUInt32BE(NULL_INDEX, 224);
+    header.fill(0xff, 232, 240);
+    header.writeUInt32BE(1, 240); // Text records carry a multibyte trailing entry
+    header.writeUInt32BE(layout.ncxIndex, 244);
+    header.writeUInt32BE(layout.chunkIndex, 248);
+    header.writeUInt32BE(layout.skeletonIndex, 252);
+    header.writeUInt32BE(NULL_INDEX, 256); // No DATP index
+    header.writeUInt32BE(NULL_INDEX, 260); // No guide index
+    header.writeUInt32BE(NULL_INDEX, 264);
+    header.writeUInt32BE(NULL_INDEX, 272);
+
+    // Kindle tools leave room after the full name for later header edits
+    return Buffer.concat([header, exth, title, Buffer.alloc(8192)]);
+  }
+
+  getKF8Extras(publication, layout) {
+    const { meta } = publication.metadata;
+    const fixedLayout =
+      meta["fixed-layout"] === "true" || meta["rendition:layout"] === "pre-paginated";
+
+    const extras = [];
+    if (fixedLayout) extras.push([122, "true"]);
+    for (const [name, type] of Object.entries(LAYOUT_EXTH)) {
+      if (meta[name]) extras.push([type, meta[name]]);
+    }
+    if (!meta["primary-writing-mode"]) extras.push([525, "horizontal-lr"]);
+    if (publication.pageProgression) extras.push([527, publication.pageProgression]);
+    if (layout.resourceCount > 0) {
+      extras.push([125, layout.resourceCount], [131, 0]);
+    }
+    if (layout.coverOffset !== null) {
+      extras.push([129, `kindle:embed:${this.toBase32(layout.coverOffset + 1, 4)}`]);
+    }
+    // Kindle firmware only enables some KF8 features for kindlegen style files
+    extras.push([204, 201], [205, 2], [206, 9], [207, 0], [535, "0730-890adc2"]);
+    return extras;
+  }
+
+  encodeInt(value) {
+    // Forward variable width integer, the last byte has its high bit set
+    const bytes = [value & 0x7f];
+    for (let rest = value >>> 7; rest > 0; rest >>>= 7) bytes.unshift(rest & 0x7f);
+    bytes[bytes.length - 1] |= 0x80;
+    return Buffer.from(bytes);
+  }
+
+  toBase32(value, width) {
+    return value.toString(32).toUpperCase().padStart(width, "0");
+  }
+
+  align(data) {
+    return Buffer.concat([data, Buffer.alloc((4 - (data.length % 4)) % 4)]);
+  }
+
+  uint16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(value, 0);
+    return buffer;
+  }
+}
+
+export { KF8Writer };
@@ -0,0 +1,165 @@
+// Scripts that are written by one language, or one language in practice. Kana is checked
+// before Han since Japanese mixes both.
+const SCRIPTS = [
+  { language: "ja", pattern: /[\u3040-\u30ff]/g },
+  { language: "ko", pattern: /[\u1100-\u11ff\uac00-\ud7af]/g },
+  { language: "zh", pattern: /[\u4e00-\u9fff]/g },
+  { language: "ru", pattern: /[\u0400-\u04ff]/g },
+  { language: "el", pattern: /[\u0370-\u03ff]/g },
+  { language: "he", pattern: /[\u0590-\u05ff]/g },
+  { language: "ar", pattern: /[\u0600-\u06ff]/g },
+  { language: "hi", pattern: /[\u0900-\u097f]/g },
+  { language: "th", pattern: /[\u0e00-\u0e7f]/g },
+];
+// Letters Ukrainian uses and Russian does not
+const UKRAINIAN_LETTERS = /[іїєґІЇЄҐ]/g;
+
+// The most frequent words of each Latin-script language, most frequent first. Their
+// trigrams are the profiles text is compared against.
+const COMMON_WORDS = {
+  en: "the of and to in a is that for it as was with be by on not he this are or his from at which but have an they you were her she there one all we their been has would when who will more if no out so can said what",
+  de: "der die und in den von zu das mit sich des auf für ist im dem nicht ein eine als auch es an werden aus er hat dass sie nach wird bei einer um am sind noch wie einem über einen so zum war haben nur oder aber vor zur bis mehr durch man",
+  fr: "de la le et les des en un du une que est pour qui dans par sur au plus ne pas il se ce avec sont sa elle son aux ou nous mais comme été leur fait cette tout ses ont être où même",
+  es: "de la que el en y a los del se las por un para con no una su al lo como más pero sus le ya o fue este ha sí porque esta son entre cuando muy sin sobre también me hasta hay donde",
+  it: "di e il la che in a per un del è non una con sono le si da dei al come più nel ma della anche lo gli alla delle ha ci questo se essere nella suo sua tra",
+  pt: "de a o que e do da em um para com não uma os no se na por mais as dos como mas foi ao ele das tem à seu sua ou ser quando muito nos já está também",
+  nl: "de van het een en in is dat op te zijn met voor niet aan er om ook als bij of door maar worden wordt dan nog naar uit zo tot hij kan over wel",
+  sv: "och i att det som en på är av för med till den har de inte om ett var jag men sig från vid så kan eller han efter under också hade",
+  da: "og i at det en den til er som på de med han af for ikke der var mig sig men et har om vi min havde ham hun nu over da fra du ud end også hvad blev være mellem efter skal kunne nogle hvor os dem selv meget",
+  nb: "og i det er til som på en at for av med har ikke de den å et var om jeg men kan fra seg skal vil han også etter eller enn hadde hva ble være mellom kunne noen hvor oss dem selv mye",
+  fi: "ja on ei että se oli hän ovat mutta kun niin myös tai kuin mitä ole sen jo vain tämä jos nyt vielä siitä hänen sekä joka",
+  pl: "i w na z że się nie do to jest o jak a od po co tak dla przez jego są ale czy przy już może który także lub tylko",
+  cs: "a se na v je že to s z do o i by jako ale jsou pro za jeho jak tak po které který od být jsem bylo už má také při mezi není však když více před jejich bude může podle ještě tento všechny než",
+  hu: "a az és hogy nem is egy meg de csak van már ez mint volt még el azt ki minden vagy sem így lesz után kell",
+  tr: "ve bir bu da de için ile çok olarak daha ne gibi en o ama kadar sonra her ki olan var değil mi diye ya göre",
+};
+
+// Tesseract traineddata names for the languages the OCR step offers
+const OCR_LANGUAGES = {
+  eng: "en",
+  deu: "de",
+  fra: "fr",
+  spa: "es",
+  ita: "it",
+  por: "pt",
+  nld: "nl",
+  swe: "sv",
+  dan: "da",
+  nor: "nb",
+  fin: "fi",
+  pol: "pl",
+  ces: "cs",
+  hun: "hu",
+  tur: "tr",
+  rus: "ru",
+  ukr: "uk",
+  ell: "el",
+  heb: "he",
+  ara: "ar",
+  hin: "hi",
+  tha: "th",
+  jpn: "ja",
+  kor: "ko",
+  chi_sim: "zh-Hans",
+  chi_tra: "zh-Hant",
+};
+
+// Below this many letters a guess is mostly noise
+const MIN_LETTERS = 40;
+// Share of letters a script needs before the text counts as written in it
+const SCRIPT_SHARE = 0.3;
+// How far the best profile has to score above the next one
+const MIN_MARGIN = 0.015;
+
+class LanguageDetector {
+  constructor() {
+    this.profiles = Object.entries(COMMON_WORDS).map(([language, words]) => {
+      // Earlier words are more frequent, so their trigrams weigh more
+      const trigrams = new Map();
+      words.split(" ").forEach((word, rank) => {
+        for (const trigram of this.trigrams(word)) {
+          trigrams.set(trigram, (trigrams.get(trigram) || 0) + 1 / Math.sqrt(rank + 1));
+        }
+      });
+      return { language, trigrams, norm: this.norm(trigrams) };
+    });
+  }
+
+  // BCP 47 tag for the text, or null when there is too little of it to tell
+  detect(text) {
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    if (letters < MIN_LETTERS) return null;
+
+    const script = this.detectScript(text, letters);
+    if (script) return script;
+
+    const counts = new Map();
+    for (const word of text.toLowerCase().match(/\p{L}+/gu) || []) {
+      for (const trigram of this.trigrams(word)) {
+        counts.set(trigram, (counts.get(trigram) || 0) + 1);
+      }
+    }
+    const textNorm = this.norm(counts);
+    const scores = this.profiles
+      .map(({ language, trigrams, norm }) => {
+        let dot = 0;
+        for (const [trigram, count] of counts) dot += count * (trigrams.get(trigram) || 0);
+        return { language, score: dot / (norm * textNorm) };
+      })
+      .sort((a, b) => b.score - a.score);
+    const [best, next] = scores;
+    return best.score - next.score >= MIN_MARGIN ? best.language : null;
+  }
+
+  detectScript(text, letters) {
+    let best = null;
+    for (const { language, pattern } of SCRIPTS) {
+      const count = (text.match(pattern) || []).length;
+      if (count / letters >= SCRIPT_SHARE && (!best || count > best.count)) {
+        best = { language, count };
+      }
+    }
+    if (!best) return null;
+    // Japanese text is often mostly Han with kana in between
+    if (best.language === "zh" && (text.match(SCRIPTS[0].pattern) || []).length > 0) return "ja";
+    if (best.language === "ru" && (text.match(UKRAINIAN_LETTERS) || []).length > 0) return "uk";
+    return best.language;
+  }
+
+  // Tag for a Tesseract language name, or null for ones it does not know
+  fromOCRLanguage(name) {
+    return OCR_LANGUAGES[name] || null;
+  }
+
+  // A PDF Lang entry in tidy BCP 47 casing, or null if it is not a language tag at all
+  normalize(tag) {
+    const value = String(tag || "")
+      .trim()
+      .replace(/_/g, "-");
+    if (!/^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i.test(value)) return null;
+    return value
+      .split("-")
+      .map((part, i) => {
+        if (i === 0) return part.toLowerCase();
+        if (part.length === 2) return part.toUpperCase(); // Region
+        if (part.length === 4) return part[0].toUpperCase() + part.slice(1).toLowerCase(); // Script
+        return part.toLowerCase();
+      })
+      .join("-");
+  }
+
+  trigrams(word) {
+    const padded = ` ${word} `;
+    const trigrams = [];
+    for (let i = 0; i + 3 <= padded.length; i++) trigrams.push(padded.slice(i, i + 3));
+    return trigrams;
+  }
+
+  norm(counts) {
+    let sum = 0;
+    for (const count of counts.values()) sum += count * count;
+    return Math.sqrt(sum) || 1;
+  }
+}
+
+export { LanguageDetector };
@@ -1,12 +1,15 @@
 import "./polyfills.js"; // Must be the first import to patch the environment
-import { app, BrowserWindow, Menu, ipcMain, dialog, shell } from "electron";
+import { app, BrowserWindow, Menu, ipcMain, dialog, shell, safeStorage } from "electron";
 import { join, basename, dirname } from "path";
 import { promises as fs } from "fs";
+import { randomUUID } from "crypto";
 import { fileURLToPath } from "url";
 import { PDFConverter } from "./converter.js";
 import { OCRProcessor } from "./ocr.js";
 // import { CloudStorageManager } from "./cloud-storage.js"; // Placeholder for future cloud storage features
 import { KindleDetector } from "./kindle-detector.js";
+import { ConverterBackends } from "./converter-backends.js";
+import { ConversionJob } from "./conversion-job.js";
 import Store from "electron-store";
 
 const store = new Store();
@@ -18,6 +21,93 @@ const converter = new PDFConverter();
 const ocrProcessor = new OCRProcessor();
 // const cloudStorage = new CloudStorageManager(); // Placeholder for future cloud storage features
 const kindleDetector = new KindleDetector();
+const converterBackends = new ConverterBackends();
+
+// Conversions in flight, each with its own temp dir and OCR worker
+const activeJobs = new Map();
+
+// Questions asked of the renderer mid-conversion, keyed by request id
+const pendingPrompts = new Map();
+
+// Passwords that opened a file this session, so previews and batch runs ask only once
+const sessionPasswords = new Map();
+
+function promptRenderer(channel, payload, signal) {
+  if (!mainWindow || signal?.aborted) return Promise.resolve(null);
+  const requestId = randomUUID();
+  return new Promise((resolve) => {
+    pendingPrompts.set(requestId, resolve);
+    // A cancelled conversion stops waiting for its answer
+    signal?.addEventListener(
+      "abort",
+      () => {
+        pendingPrompts.delete(requestId);
+        resolve(null);
+      },
+      { once: true }
+    );
+    mainWindow.webContents.send(channel, { requestId, ...payload });
+  });
+}
+
+// External converters and the PDF renderer depend on the machine, not on the conversion
+function getBackendSettings() {
+  return {
+    pdfRenderer: store.get("pdfRenderer", "auto"),
+    mobiBackend: store.get("mobiBackend", "native"),
+    azw3Backend: store.get("azw3Backend", "native"),
+    converterPaths: store.get("converterPaths", {}),
+    converterArgs: store.get("converterArgs", {}),
+    customConverterArgs: store.get("customConverterArgs", "{input} {output}"),
+  };
+}
+
+// Passwords remembered per file, encrypted with the operating system's keychain
+function getSavedPassword(path) {
+  const saved = store.get("pdfPasswords", {})[path];
+  if (!saved || !safeStorage.isEncryptionAvailable()) return null;
+  try {
+    return safeStorage.decryptString(Buffer.from(saved, "base64"));
+  } catch {
+    return null; // Written under another user or keychain
+  }
+}
+
+function savePassword(path, password) {
+  if (!safeStorage.isEncryptionAvailable()) return;
+  store.set("pdfPasswords", {
+    ...store.get("pdfPasswords", {}),
+    [path]: safeStorage.encryptString(password).toString("base64"),
+  });
+}
+
+// Tries a known password first, then asks until one opens the file. Answers are only kept,
+// and saved if the user asked, by rememberPassword() once they have worked.
+function getPasswordOptions(inputPath, job) {
+  let answer = null;
+  return {
+    password: sessionPasswords.get(inputPath) ?? getSavedPassword(inputPath),
+    onPasswordRequest: async ({ incorrect }) => {
+      answer = await promptRenderer(
+        "pdf-password",
+        { file: inputPath, jobId: job?.id, incorrect },
+        job?.signal
+      );
+      return answer?.password || null;
+    },
+    rememberPassword: () => {
+      if (!answer?.password) return;
+      sessionPasswords.set(inputPath, answer.password);
+      if (answer.remember) savePassword(inputPath, answer.password);
+    },
+  };
+}
+
+function resolvePendingPrompts() {
+  // Unblock conversions still waiting on a window that has gone away
+  for (const resolve of pendingPrompts.values()) resolve(null);
+  pendingPrompts.clear();
+}
 
 function createWindow() {
   const __dirname_esm = dirname(fileURLToPath(import.meta.url));
@@ -79,6 +169,7 @@ function createWindow() {
 
   mainWindow.on("closed", () => {
     mainWindow = null;
+    resolvePendingPrompts();
   });
 
   // Enhanced window event handling
@@ -333,35 +424,127 @@ ipcMain.handle("select-output-directory", async (event) => {
 });
 
 ipcMain.handle("convert-pdf", async (event, options) => {
+  const job = new ConversionJob({ id: options.jobId });
+  activeJobs.set(job.id, job);
+  const { rememberPassword, ...passwordOptions } = getPasswordOptions(options.inputPath, job);
   try {
-    return {
-      success: true,
-      ...(await converter.convert(
-        options.inputPath,
-        options.outputPath,
-        options.settings,
-        (progressData) => {
-          // Handle both old format (number) and new format (object)
-          const progress = typeof progressData === "object" ? progressData.progress : progressData;
-          const stage = typeof progressData === "object" ? progressData.stage : null;
-
-          mainWindow?.webContents.send("conversion-progress", {
-            file: options.inputPath,
-            progress,
-            stage,
-          });
-        }
-      )),
-    };
+    const result = await converter.convert(
+      options.inputPath,
+      options.outputPath,
+      { ...getBackendSettings(), ...options.settings },
+      (progressData) => {
+        // Handle both old format (number) and new format (object)
+        const progress = typeof progressData === "object" ? progressData.progress : progressData;
+        const stage = typeof progressData === "object" ? progressData.stage : null;
+
+        mainWindow?.webContents.send("conversion-progress", {
+          file: options.inputPath,
+          progress,
+          stage,
+        });
+      },
+      {
+        onChapterPreview: (chapters) =>
+          promptRenderer("chapter-preview", { file: options.inputPath, chapters }, job.signal),
+        ...passwordOptions,
+        job,
+      }
+    );
+    rememberPassword();
+    return { success: true, ...result };
   } catch (error) {
+    if (job.cancelled) {
+      return { success: false, cancelled: true, error: error.message, log: error.log || [] };
+    }
     console.error("Conversion error:", error);
+    return { success: false, error: error.message, log: error.log || [] };
+  } finally {
+    activeJobs.delete(job.id);
+  }
+});
+
+ipcMain.handle("cancel-conversion", async (event, jobId) => {
+  const job = activeJobs.get(jobId);
+  if (!job) return false;
+  await job.cancel();
+  return true;
+});
+
+ipcMain.handle("detect-pdf-renderers", () => converter.pdfRenderers.detect(true));
+
+ipcMain.handle("inspect-pdf", async (event, inputPath) => {
+  try {
+    // Files are checked as they are added, so a locked one is reported instead of asked about
+    const password = sessionPasswords.get(inputPath) ?? getSavedPassword(inputPath);
+    return { success: true, ...(await converter.inspect(inputPath, { password })) };
+  } catch (error) {
+    return { success: false, locked: error.name === "PasswordError", error: error.message };
+  }
+});
+
+ipcMain.handle("preview-crop", async (event, { inputPath, settings }) => {
+  const { rememberPassword, ...passwordOptions } = getPasswordOptions(inputPath);
+  try {
+    const pages = await converter.previewCrop(
+      inputPath,
+      { ...getBackendSettings(), ...settings },
+      undefined,
+      passwordOptions
+    );
+    rememberPassword();
+    return { success: true, pages };
+  } catch (error) {
+    console.error("Crop preview error:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("page-thumbnails", async (event, { inputPath, firstPage, count }) => {
+  const { rememberPassword, ...passwordOptions } = getPasswordOptions(inputPath);
+  try {
+    const thumbnails = await converter.getPageThumbnails(
+      inputPath,
+      getBackendSettings(),
+      firstPage,
+      count,
+      passwordOptions
+    );
+    rememberPassword();
+    return { success: true, ...thumbnails };
+  } catch (error) {
+    console.error("Page thumbnail error:", error);
     return { success: false, error: error.message };
   }
 });
 
+ipcMain.handle("select-cover-image", async (event) => {
+  const parentWindow = BrowserWindow.fromWebContents(event.sender);
+  if (!parentWindow) return null;
+
+  const { canceled, filePaths } = await dialog.showOpenDialog(parentWindow, {
+    title: "Select Cover Image",
+    properties: ["openFile"],
+    filters: [{ name: "Images", extensions: ["jpg", "jpeg", "png", "webp", "gif", "tiff"] }],
+  });
+  return canceled || filePaths.length === 0 ? null : filePaths[0];
+});
+
+ipcMain.handle("detect-converter-backends", (event, paths) =>
+  converterBackends.detect(paths || store.get("converterPaths", {}))
+);
+
+ipcMain.handle("prompt-response", (event, { requestId, response }) => {
+  const resolve = pendingPrompts.get(requestId);
+  if (!resolve) return false;
+  pendingPrompts.delete(requestId);
+  resolve(response);
+  return true;
+});
+
 ipcMain.handle("get-settings", () => ({
   outputDirectory: store.get("outputDirectory", app.getPath("downloads")),
   outputFormat: store.get("outputFormat", "epub"),
+  layoutMode: store.get("layoutMode", "fixed"),
   imageQuality: store.get("imageQuality", 85),
   imageMaxWidth: store.get("imageMaxWidth", 1200),
   preserveAnnotations: store.get("preserveAnnotations", true),
@@ -374,10 +557,14 @@ ipcMain.handle("get-settings", () => ({
   enableOCR: store.get("enableOCR", false),
   ocrLanguages: store.get("ocrLanguages", ["eng"]),
   autoDetectScanned: store.get("autoDetectScanned", true),
+  detectChapters: store.get("detectChapters", true),
+  previewChapters: store.get("previewChapters", false),
+  chapterConfidence: store.get("chapterConfidence", 0.6),
   processingPriority: store.get("processingPriority", "normal"),
   maxFileSize: store.get("maxFileSize", 650),
   defaultOcrLanguages: store.get("defaultOcrLanguages", ["eng"]),
   defaultProcessingPriority: store.get("defaultProcessingPriority", "normal"),
+  ...getBackendSettings(),
 }));
 ipcMain.handle("save-settings", (event, settings) => {
   Object.entries(settings).forEach(([key, value]) => store.set(key, value));
@@ -443,6 +630,13 @@ app.on("before-quit", async (event) => {
     kindleDetector.stopMonitoring();
     // Await asynchronous services
     await ocrProcessor.terminate();
+    await Promise.all(
+      [...activeJobs.values()].map(async (job) => {
+        await job.cancel();
+        await job.cleanup();
+      })
+    );
+    await converter.shutdown();
     console.log("All resources cleaned up successfully.");
   } catch (error) {
     console.error("Error during pre-quit cleanup:", error);
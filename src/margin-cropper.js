@@ -0,0 +1,119 @@
+import sharp from "sharp";
+
+// Half a pixel per point is plenty to find where the text block sits
+const DETECT_DENSITY = 36;
+// Gray levels darker than this count as ink; paper tone and JPEG noise stay below it
+const INK_THRESHOLD = 200;
+// Running heads and folios live in the outer tenth of the page
+const EDGE_ZONE = 0.1;
+
+class MarginCropper {
+  async detect(pageCount, renderPage, options = {}) {
+    const { mode = "page", padding = 2, ignoreHeaders = false, pageNumbers, signal } = options;
+
+    const boxes = [];
+    for (let i = 0; i < pageCount; i++) {
+      signal?.throwIfAborted();
+      boxes.push(await this.findContentBox(await renderPage(i, DETECT_DENSITY), ignoreHeaders));
+    }
+
+    // Books are laid out in spreads, so odd and even pages each share one box. Parity comes
+    // from the page number, since a selection may skip pages.
+    const parityOf = (i) => (pageNumbers?.[i] ?? i + 1) % 2;
+    const shared =
+      mode === "uniform"
+        ? [0, 1].map((parity) =>
+            this.union(boxes.filter((box, i) => box && parityOf(i) === parity))
+          )
+        : null;
+
+    return boxes.map((box, i) => this.pad(shared ? shared[parityOf(i)] : box, padding / 100));
+  }
+
+  async findContentBox(png, ignoreHeaders = false) {
+    const { data, info } = await sharp(png).grayscale().raw().toBuffer({ resolveWithObject: true });
+    const { width, height, channels } = info;
+    const isInk = (x, y) => data[(y * width + x) * channels] < INK_THRESHOLD;
+
+    const rowInk = new Array(height).fill(0);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) if (isInk(x, y)) rowInk[y]++;
+    }
+
+    let bands = this.findBands(rowInk);
+    if (bands.length === 0) return null; // Blank page, nothing to crop to
+    if (ignoreHeaders) bands = this.dropRunningHeads(bands, height);
+
+    const top = bands[0].start;
+    const bottom = bands[bands.length - 1].end;
+    let left = width;
+    let right = -1;
+    for (let y = top; y <= bottom; y++) {
+      for (let x = 0; x < width; x++) {
+        if (!isInk(x, y)) continue;
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+      }
+    }
+    if (right < left) return null;
+
+    return {
+      left: left / width,
+      top: top / height,
+      width: (right - left + 1) / width,
+      height: (bottom - top + 1) / height,
+    };
+  }
+
+  findBands(rowInk) {
+    const bands = [];
+    let start = null;
+    rowInk.forEach((count, y) => {
+      if (count > 0 && start === null) start = y;
+      if (count === 0 && start !== null) {
+        bands.push({ start, end: y - 1 });
+        start = null;
+      }
+    });
+    if (start !== null) bands.push({ start, end: rowInk.length - 1 });
+    return bands;
+  }
+
+  dropRunningHeads(bands, height) {
+    // A header or folio is a short band near the edge with clear space before the body
+    const isMarginal = (band, gap) => band.end - band.start < height * 0.04 && gap > height * 0.015;
+
+    const kept = [...bands];
+    if (kept.length > 1 && kept[0].end < height * EDGE_ZONE) {
+      if (isMarginal(kept[0], kept[1].start - kept[0].end)) kept.shift();
+    }
+    const last = kept.length - 1;
+    if (last > 0 && kept[last].start > height * (1 - EDGE_ZONE)) {
+      if (isMarginal(kept[last], kept[last].start - kept[last - 1].end)) kept.pop();
+    }
+    return kept;
+  }
+
+  union(boxes) {
+    if (boxes.length === 0) return null;
+    const left = Math.min(...boxes.map((box) => box.left));
+    const top = Math.min(...boxes.map((box) => box.top));
+    const right = Math.max(...boxes.map((box) => box.left + box.width));
+    const bottom = Math.max(...boxes.map((box) => box.top + box.height));
+    return { left, top, width: right - left, height: bottom - top };
+  }
+
+  pad(box, padding) {
+    if (!box) return null;
+    const left = Math.max(0, box.left - padding);
+    const top = Math.max(0, box.top - padding);
+    return {
+      left,
+      top,
+      width: Math.min(1, box.left + box.width + padding) - left,
+      height: Math.min(1, box.top + box.height + padding) - top,
+    };
+  }
+}
+
+export { MarginCropper };
@@ -0,0 +1,684 @@
+import { promises as fs } from "fs";
+import { join, posix } from "path";
+import { randomBytes } from "crypto";
+import sharp from "sharp";
+
+const RECORD_SIZE = 4096;
+const FILEPOS_WIDTH = 10;
+
+// MOBI locale ids, see the MobileRead wiki language table
+const LOCALES = {
+  ar: 1,
+  zh: 4,
+  cs: 5,
+  da: 6,
+  de: 7,
+  el: 8,
+  en: 9,
+  es: 10,
+  fi: 11,
+  fr: 12,
+  he: 13,
+  hu: 14,
+  it: 16,
+  ja: 17,
+  ko: 18,
+  nl: 19,
+  nb: 20,
+  no: 20,
+  pl: 21,
+  pt: 22,
+  ru: 25,
+  sv: 29,
+  tr: 31,
+};
+
+const BLOCK_TAGS = new Set([
+  "section",
+  "article",
+  "aside",
+  "nav",
+  "header",
+  "footer",
+  "main",
+  "figure",
+  "figcaption",
+]);
+const SKIPPED_TAGS = new Set(["head", "script", "style", "svg"]);
+const VOID_TAGS = new Set(["br", "hr", "img"]);
+const KEPT_ATTRIBUTES = new Set(["align", "colspan", "rowspan", "valign", "width", "height"]);
+const IMAGE_TYPES = new Set(["image/jpeg", "image/png", "image/gif"]);
+
+class MobiWriter {
+  async write(epubDir, outputPath) {
+    const publication = await this.readPublication(epubDir);
+    const images = this.createImageTable();
+    const text = await this.buildText(publication, images);
+    const textRecords = this.buildTextRecords(text);
+    const imageRecords = await this.buildImageRecords(publication, images);
+
+    const firstImageRecord = 1 + textRecords.length;
+    const flisRecord = firstImageRecord + imageRecords.length;
+    const record0 = this.buildRecord0(publication, {
+      textLength: text.length,
+      textRecordCount: textRecords.length,
+      firstImageRecord,
+      lastContentRecord: flisRecord - 1,
+      flisRecord,
+      fcisRecord: flisRecord + 1,
+      coverOffset: images.coverOffset,
+      thumbnailOffset: images.thumbnailOffset,
+    });
+
+    const records = [
+      record0,
+      ...textRecords,
+      ...imageRecords,
+      this.buildFLIS(),
+      this.buildFCIS(text.length),
+      Buffer.from([0xe9, 0x8e, 0x0d, 0x0a]), // End of file marker
+    ];
+    await fs.writeFile(outputPath, this.buildPDB(publication.metadata.title, records));
+    return outputPath;
+  }
+
+  async readPublication(epubDir) {
+    const container = await fs.readFile(join(epubDir, "META-INF", "container.xml"), "utf8");
+    const opfPath = container.match(/<rootfile\b[^>]*full-path="([^"]+)"/)?.[1];
+    if (!opfPath) throw new Error("container.xml does not name a package document");
+
+    const opf = await fs.readFile(join(epubDir, opfPath), "utf8");
+    const opfDir = posix.dirname(opfPath);
+
+    const metadata = this.parseMetadata(opf);
+    const items = [...opf.matchAll(/<item\b[^>]*>/g)].map((match) => {
+      const attrs = this.parseAttributes(match[0]);
+      return {
+        id: attrs.id,
+        path: posix.normalize(posix.join(opfDir, decodeURI(attrs.href))),
+        mediaType: attrs["media-type"],
+        properties: (attrs.properties || "").split(/\s+/),
+      };
+    });
+
+    // Spine references resolve to content documents even if an image shares the id
+    const spine = [...opf.matchAll(/<itemref\b[^>]*>/g)]
+      .map((match) => this.parseAttributes(match[0]).idref)
+      .map(
+        (idref) =>
+          items.find((item) => item.id === idref && item.mediaType === "application/xhtml+xml") ||
+          items.find((item) => item.id === idref)
+      )
+      .filter(Boolean);
+
+    const coverId = metadata.meta.cover;
+    const cover =
+      items.find((item) => item.properties.includes("cover-image")) ||
+      items.find((item) => item.id === coverId && item.mediaType?.startsWith("image/")) ||
+      null;
+
+    const ncx = items.find((item) => item.mediaType === "application/x-dtbncx+xml");
+    const toc = ncx ? await this.readNCX(epubDir, ncx.path) : [];
+
+    const spineTag = opf.match(/<spine\b[^>]*>/)?.[0] || "";
+    const pageProgression = this.parseAttributes(spineTag)["page-progression-direction"] || null;
+
+    return { epubDir, metadata, items, spine, cover, toc, pageProgression };
+  }
+
+  parseMetadata(opf) {
+    const block = opf.match(/<metadata\b[^>]*>([\s\S]*?)<\/metadata>/)?.[1] || "";
+    const dc = {};
+    for (const [, name, attrs, value] of block.matchAll(
+      /<dc:(\w+)\b([^>]*)>([\s\S]*?)<\/dc:\1>/g
+    )) {
+      (dc[name] = dc[name] || []).push({
+        value: this.unescapeXml(value.trim()),
+        attrs: this.parseAttributes(attrs),
+      });
+    }
+
+    const meta = {};
+    for (const [tag, , content] of block.matchAll(/<meta\b([^>]*?)(?:\/>|>([\s\S]*?)<\/meta>)/g)) {
+      const attrs = this.parseAttributes(tag);
+      if (attrs.name) meta[attrs.name] = attrs.content;
+      else if (attrs.property && !attrs.refines) meta[attrs.property] = this.unescapeXml(content);
+    }
+
+    const first = (name) => dc[name]?.[0]?.value || "";
+    const identifiers = (dc.identifier || []).map((entry) => entry.value);
+    const isbn = identifiers
+      .map((id) => id.replace(/^(urn:)?isbn:/i, ""))
+      .find((id) => /^(97[89])?\d{9}[\dX]$/i.test(id.replace(/-/g, "")));
+
+    return {
+      title: first("title") || "Untitled",
+      creators: (dc.creator || []).map((entry) => entry.value).filter(Boolean),
+      language: first("language") || "en",
+      identifier: identifiers[0] || "",
+      isbn: isbn || "",
+      publisher: first("publisher"),
+      description: first("description"),
+      subjects: (dc.subject || []).map((entry) => entry.value).filter(Boolean),
+      date: first("date"),
+      meta,
+    };
+  }
+
+  async readNCX(epubDir, ncxPath) {
+    let ncx;
+    try {
+      ncx = await fs.readFile(join(epubDir, ncxPath), "utf8");
+    } catch (error) {
+      console.warn("Could not read toc.ncx:", error.message);
+      return [];
+    }
+
+    // Walk the navPoint tags keeping a stack, since regexes cannot match nesting
+    const root = { children: [] };
+    const stack = [root];
+    for (const [tag] of ncx.matchAll(
+      /<\/?navPoint\b[^>]*>|<text>[\s\S]*?<\/text>|<content\b[^>]*>/g
+    )) {
+      const current = stack[stack.length - 1];
+      if (tag.startsWith("</navPoint")) {
+        stack.pop();
+      } else if (tag.startsWith("<navPoint")) {
+        const entry = { title: "", target: null, children: [] };
+        current.children.push(entry);
+        stack.push(entry);
+      } else if (tag.startsWith("<text>") && stack.length > 1 && !current.title) {
+        current.title = this.unescapeXml(tag.slice(6, -7).trim());
+      } else if (tag.startsWith("<content") && stack.length > 1) {
+        current.target = this.resolveHref(ncxPath, this.parseAttributes(tag).src);
+      }
+    }
+    return root.children;
+  }
+
+  async buildText(publication, images) {
+    const text = new TextBuffer();
+    text.append("<html><head><guide>");
+    if (publication.toc.length > 0) {
+      text.append('<reference type="toc" title="Table of Contents" ');
+      text.appendFilepos("#toc");
+      text.append(" />");
+    }
+    if (publication.spine.length > 0) {
+      text.append('<reference type="text" title="Start" ');
+      text.appendFilepos(publication.spine[0].path);
+      text.append(" />");
+    }
+    text.append("</guide></head><body>");
+
+    for (const [i, item] of publication.spine.entries()) {
+      if (i > 0) text.append("<mbp:pagebreak/>");
+      text.anchor(item.path);
+      const html = await fs.readFile(join(publication.epubDir, item.path), "utf8");
+      this.appendDocument(text, html, item.path, images);
+    }
+
+    if (publication.toc.length > 0) {
+      // The generated contents page goes last, as Kindle readers jump to it from the menu
+      text.append("<mbp:pagebreak/>");
+      text.anchor("#toc");
+      text.append("<h2>Table of Contents</h2>");
+      this.appendTocList(text, publication.toc);
+    }
+    text.append("</body></html>");
+
+    return text.resolve();
+  }
+
+  appendDocument(text, html, docPath, images) {
+    const body = html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i)?.[1] ?? html;
+    let skipTag = null;
+    let skipDepth = 0;
+
+    for (const token of body.replace(/<!--[\s\S]*?-->/g, "").split(/(<[^>]+>)/)) {
+      if (!token) continue;
+      const tag = token.match(/^<(\/?)([\w:-]+)([\s\S]*?)(\/?)>$/);
+      if (!tag) {
+        if (skipDepth === 0) text.append(this.toHtmlEntities(token));
+        continue;
+      }
+
+      const [, closing, rawName, attrString, selfClosing] = tag;
+      const name = rawName.toLowerCase();
+      if (skipDepth > 0) {
+        if (name === skipTag && !selfClosing) skipDepth += closing ? -1 : 1;
+        continue;
+      }
+
+      const attrs = closing ? {} : this.parseAttributes(attrString);
+      // Hidden text layers and styling have no equivalent in MOBI 6
+      if (SKIPPED_TAGS.has(name) || attrs["aria-hidden"] === "true") {
+        if (!closing && !selfClosing) {
+          skipTag = name;
+          skipDepth = 1;
+        }
+        continue;
+      }
+
+      if (attrs.id) text.anchor(`${docPath}#${attrs.id}`);
+      const mobiName = BLOCK_TAGS.has(name) ? "div" : { em: "i", strong: "b" }[name] || name;
+
+      if (closing) {
+        if (!VOID_TAGS.has(mobiName)) text.append(`</${mobiName}>`);
+      } else if (name === "img") {
+        const src = this.resolveHref(docPath, attrs.src);
+        const index = images.add(src);
+        if (index) text.append(`<img recindex="${String(index).padStart(5, "0")}"/>`);
+      } else if (name === "a") {
+        this.appendLink(text, attrs.href, docPath);
+        if (selfClosing) text.append("</a>");
+      } else {
+        const kept = Object.entries(attrs)
+          .filter(([key]) => KEPT_ATTRIBUTES.has(key))
+          .map(([key, value]) => ` ${key}="${this.escapeAttribute(value)}"`)
+          .join("");
+        if (VOID_TAGS.has(mobiName)) text.append(`<${mobiName}${kept}/>`);
+        else text.append(`<${mobiName}${kept}>${selfClosing ? `</${mobiName}>` : ""}`);
+      }
+    }
+  }
+
+  appendLink(text, href, docPath) {
+    if (!href) {
+      text.append("<a>");
+    } else if (/^[a-z][a-z0-9+.-]*:/i.test(href)) {
+      text.append(`<a href="${this.escapeAttribute(href)}">`);
+    } else {
+      // Internal links become byte offsets into the uncompressed text
+      text.append("<a ");
+      text.appendFilepos(this.resolveHref(docPath, href));
+      text.append(">");
+    }
+  }
+
+  appendTocList(text, entries) {
+    text.append("<ul>");
+    for (const entry of entries) {
+      text.append("<li>");
+      if (entry.target) {
+        text.append("<a ");
+        text.appendFilepos(entry.target);
+        text.append(`>${this.escapeXml(entry.title)}</a>`);
+      } else {
+        text.append(this.escapeXml(entry.title));
+      }
+      if (entry.children.length > 0) this.appendTocList(text, entry.children);
+      text.append("</li>");
+    }
+    text.append("</ul>");
+  }
+
+  createImageTable() {
+    return new ImageTable();
+  }
+
+  buildTextRecords(text) {
+    const records = [];
+    for (let pos = 0; pos < text.length; pos += RECORD_SIZE) {
+      const end = Math.min(pos + RECORD_SIZE, text.length);
+
+      // A UTF-8 character cut at the record boundary is repeated as a trailing entry
+      let lead = end - 1;
+      while (lead > pos && (text[lead] & 0xc0) === 0x80) lead--;
+      const byte = text[lead];
+      const charLength = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 1;
+      const overlap = text.subarray(end, Math.max(end, lead + charLength));
+
+      records.push(
+        Buffer.concat([
+          this.compress(text.subarray(pos, end)),
+          overlap,
+          Buffer.from([overlap.length]),
+        ])
+      );
+    }
+    return records;
+  }
+
+  compress(data) {
+    // PalmDOC LZ77: literals, back references of 3-10 bytes, and space + character pairs
+    const out = [];
+    const positions = new Map();
+    const remember = (index) => {
+      if (index + 3 > data.length) return;
+      const key = (data[index] << 16) | (data[index + 1] << 8) | data[index + 2];
+      const list = positions.get(key);
+      if (list) list.push(index);
+      else positions.set(key, [index]);
+    };
+
+    let i = 0;
+    while (i < data.length) {
+      let bestLength = 0;
+      let bestDistance = 0;
+      if (data.length - i >= 3) {
+        const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+        const candidates = positions.get(key) || [];
+        const maxLength = Math.min(10, data.length - i);
+        for (let c = candidates.length - 1, tries = 0; c >= 0 && tries < 64; c--, tries++) {
+          const start = candidates[c];
+          if (i - start > 2047) break;
+          // Matches must not run into the bytes being encoded
+          const limit = Math.min(maxLength, i - start);
+          if (limit < 3) continue;
+          let length = 3;
+          while (length < limit && data[start + length] === data[i + length]) length++;
+          if (length > bestLength) {
+            bestLength = length;
+            bestDistance = i - start;
+            if (length === 10) break;
+          }
+        }
+      }
+
+      if (bestLength >= 3) {
+        const code = 0x8000 | (bestDistance << 3) | (bestLength - 3);
+        out.push(code >> 8, code & 0xff);
+        for (let k = 0; k < bestLength; k++) remember(i + k);
+        i += bestLength;
+        continue;
+      }
+
+      const byte = data[i];
+      const next = data[i + 1];
+      if (byte === 0x20 && next >= 0x40 && next < 0x80) {
+        out.push(next ^ 0x80);
+        remember(i);
+        remember(i + 1);
+        i += 2;
+      } else if (byte === 0 || (byte > 8 && byte < 0x80)) {
+        out.push(byte);
+        remember(i);
+        i++;
+      } else {
+        // Bytes that would read as commands are escaped in runs of up to eight
+        let end = i;
+        while (end < data.length && end - i < 8) {
+          const b = data[end];
+          if (b === 0 || (b > 8 && b < 0x80)) break;
+          end++;
+        }
+        out.push(end - i, ...data.subarray(i, end));
+        for (let k = i; k < end; k++) remember(k);
+        i = end;
+      }
+    }
+    return Buffer.from(out);
+  }
+
+  async buildImageRecords(publication, images) {
+    // A cover that the text never shows still needs its own image record
+    if (publication.cover) {
+      images.coverOffset = images.add(publication.cover.path) - 1;
+    }
+
+    const records = [];
+    for (const path of images.paths) {
+      const item = publication.items.find((i) => i.path === path);
+      records.push(await this.readImage(join(publication.epubDir, path), item?.mediaType));
+    }
+
+    if (publication.cover) {
+      images.thumbnailOffset = records.length;
+      records.push(
+        await sharp(records[images.coverOffset])
+          .resize(null, 330, { withoutEnlargement: true })
+          .jpeg({ quality: 80 })
+          .toBuffer()
+      );
+    }
+    return records;
+  }
+
+  async readImage(imagePath, mediaType) {
+    const data = await fs.readFile(imagePath);
+    if (IMAGE_TYPES.has(mediaType)) return data;
+    // Kindle readers only decode JPEG, PNG and GIF image records
+    return sharp(data).flatten({ background: "#ffffff" }).jpeg({ quality: 90 }).toBuffer();
+  }
+
+  buildRecord0(publication, layout) {
+    const { metadata } = publication;
+    const title = Buffer.from(metadata.title, "utf8");
+    const exth = this.buildEXTH(metadata, layout);
+    const headerLength = 0xe8;
+
+    const palmDoc = Buffer.alloc(16);
+    palmDoc.writeUInt16BE(2, 0); // PalmDOC compression
+    palmDoc.writeUInt32BE(layout.textLength, 4);
+    palmDoc.writeUInt16BE(layout.textRecordCount, 8);
+    palmDoc.writeUInt16BE(RECORD_SIZE, 10);
+
+    const mobi = Buffer.alloc(headerLength);
+    mobi.write("MOBI", 0, "ascii");
+    mobi.writeUInt32BE(headerLength, 0x04);
+    mobi.writeUInt32BE(2, 0x08); // Mobipocket book
+    mobi.writeUInt32BE(65001, 0x0c); // UTF-8
+    mobi.writeUInt32BE(randomBytes(4).readUInt32BE(0), 0x10);
+    mobi.writeUInt32BE(6, 0x14); // File version
+    for (let offset = 0x18; offset <= 0x3c; offset += 4) mobi.writeUInt32BE(0xffffffff, offset);
+    mobi.writeUInt32BE(layout.firstImageRecord, 0x40); // First non-text record
+    mobi.writeUInt32BE(16 + headerLength + exth.length, 0x44); // Full name offset
+    mobi.writeUInt32BE(title.length, 0x48);
+    mobi.writeUInt32BE(this.getLocale(metadata.language), 0x4c);
+    mobi.writeUInt32BE(6, 0x58); // Minimum reader version
+    mobi.writeUInt32BE(layout.firstImageRecord, 0x5c);
+    mobi.writeUInt32BE(0x50, 0x70); // EXTH present
+    mobi.writeUInt32BE(0xffffffff, 0x94);
+    mobi.writeUInt32BE(0xffffffff, 0x98); // No DRM
+    mobi.writeUInt16BE(1, 0xb0); // First content record
+    mobi.writeUInt16BE(layout.lastContentRecord, 0xb2);
+    mobi.writeUInt32BE(1, 0xb4);
+    mobi.writeUInt32BE(layout.fcisRecord, 0xb8);
+    mobi.writeUInt32BE(1, 0xbc);
+    mobi.writeUInt32BE(layout.flisRecord, 0xc0);
+    mobi.writeUInt32BE(1, 0xc4);
+    mobi.writeUInt32BE(0xffffffff, 0xd0);
+    mobi.writeUInt32BE(0xffffffff, 0xd8);
+    mobi.writeUInt32BE(0xffffffff, 0xdc);
+    mobi.writeUInt32BE(1, 0xe0); // Text records carry a multibyte trailing entry
+    mobi.writeUInt32BE(0xffffffff, 0xe4); // No NCX index
+
+    // The full name is null terminated and the record padded to a multiple of four
+    const padding = Buffer.alloc(2 + ((4 - ((title.length + 2) % 4)) % 4));
+    return Buffer.concat([palmDoc, mobi, exth, title, padding]);
+  }
+
+  buildEXTH(metadata, layout, extra = []) {
+    const entries = [];
+    const add = (type, value) => {
+      if (value === undefined || value === null || value === "") return;
+      const data = typeof value === "number" ? this.uint32(value) : Buffer.from(value, "utf8");
+      const header = Buffer.alloc(8);
+      header.writeUInt32BE(type, 0);
+      header.writeUInt32BE(data.length + 8, 4);
+      entries.push(header, data);
+    };
+
+    metadata.creators.forEach((creator) => add(100, creator));
+    add(101, metadata.publisher);
+    add(103, metadata.description);
+    add(104, metadata.isbn);
+    metadata.subjects.forEach((subject) => add(105, subject));
+    add(106, this.formatDate(metadata.date));
+    add(108, "Kompres");
+    add(113, metadata.identifier.replace(/^urn:uuid:/, ""));
+    add(501, "EBOK");
+    add(503, metadata.title);
+    add(524, metadata.language);
+    if (layout.coverOffset !== null) {
+      add(201, layout.coverOffset);
+      add(202, layout.thumbnailOffset);
+      add(203, 0);
+    }
+    extra.forEach(([type, value]) => add(type, value));
+
+    const body = Buffer.concat(entries);
+    const header = Buffer.alloc(12);
+    header.write("EXTH", 0, "ascii");
+    header.writeUInt32BE(12 + body.length, 4);
+    header.writeUInt32BE(entries.length / 2, 8);
+    // The EXTH block is padded to a multiple of four without counting the padding
+    return Buffer.concat([header, body, Buffer.alloc((4 - (body.length % 4)) % 4)]);
+  }
+
+  buildFLIS() {
+    return Buffer.from(
+      "464c4953000000080041000000000000ffffffff000100030000000300000001ffffffff",
+      "hex"
+    );
+  }
+
+  buildFCIS(textLength) {
+    const fcis = Buffer.from(
+      "4643495300000014000000100000000100000000" +
+        "00000000" +
+        "00000000000000200000000800010001" +
+        "00000000",
+      "hex"
+    );
+    fcis.writeUInt32BE(textLength, 20);
+    return fcis;
+  }
+
+  buildPDB(title, records) {
+    const name = Buffer.alloc(32);
+    name.write(title.replace(/[^-A-Za-z0-9]+/g, "_").slice(0, 31), 0, "ascii");
+
+    const now = Math.floor(Date.now() / 1000);
+    const header = Buffer.alloc(78);
+    name.copy(header, 0);
+    header.writeUInt32BE(now, 36);
+    header.writeUInt32BE(now, 40);
+    header.write("BOOKMOBI", 60, "ascii");
+    header.writeUInt32BE(records.length * 2 - 1, 68); // Unique id seed
+    header.writeUInt16BE(records.length, 76);
+
+    const recordList = Buffer.alloc(records.length * 8 + 2);
+    let offset = header.length + recordList.length;
+    records.forEach((record, i) => {
+      recordList.writeUInt32BE(offset, i * 8);
+      recordList.writeUInt32BE(i * 2, i * 8 + 4); // Attributes byte is zero
+      offset += record.length;
+    });
+
+    return Buffer.concat([header, recordList, ...records]);
+  }
+
+  formatDate(date) {
+    // PDF info dates (D:YYYYMMDDHHmmSS) can reach the OPF unchanged
+    const pdfDate = date.match(/^D:(\d{4})(\d{2})?(\d{2})?/);
+    if (!pdfDate) return date;
+    return [pdfDate[1], pdfDate[2], pdfDate[3]].filter(Boolean).join("-");
+  }
+
+  getLocale(language) {
+    return LOCALES[(language || "").toLowerCase().split(/[-_]/)[0]] || 0;
+  }
+
+  resolveHref(fromPath, href) {
+    if (!href) return null;
+    const [path, fragment] = href.split("#");
+    const resolved = path
+      ? posix.normalize(posix.join(posix.dirname(fromPath), decodeURI(path)))
+      : fromPath;
+    return fragment ? `${resolved}#${fragment}` : resolved;
+  }
+
+  parseAttributes(tag) {
+    const attrs = {};
+    for (const [, name, value] of tag.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+      attrs[name] = this.unescapeXml(value);
+    }
+    return attrs;
+  }
+
+  unescapeXml(text) {
+    return (text || "")
+      .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, "&");
+  }
+
+  escapeXml(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  }
+
+  escapeAttribute(text) {
+    return this.escapeXml(text).replace(/"/g, "&quot;");
+  }
+
+  toHtmlEntities(text) {
+    // &apos; is XML only, older Mobipocket renderers print it literally
+    return text.replace(/&apos;/g, "&#39;");
+  }
+
+  uint32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value >>> 0, 0);
+    return buffer;
+  }
+}
+
+class TextBuffer {
+  constructor() {
+    this.parts = [];
+    this.length = 0;
+    this.anchors = new Map();
+    this.links = [];
+  }
+
+  append(text) {
+    const buffer = Buffer.from(text, "utf8");
+    this.parts.push(buffer);
+    this.length += buffer.length;
+  }
+
+  anchor(key) {
+    if (!this.anchors.has(key)) this.anchors.set(key, this.length);
+  }
+
+  appendFilepos(target) {
+    this.append("filepos=");
+    this.links.push({ offset: this.length, target });
+    this.append("0".repeat(FILEPOS_WIDTH));
+  }
+
+  resolve() {
+    const text = Buffer.concat(this.parts);
+    for (const { offset, target } of this.links) {
+      // Unknown fragments fall back to the start of their document
+      const position = this.anchors.get(target) ?? this.anchors.get(target.split("#")[0]) ?? 0;
+      text.write(String(position).padStart(FILEPOS_WIDTH, "0"), offset, "ascii");
+    }
+    return text;
+  }
+}
+
+class ImageTable {
+  constructor() {
+    this.paths = [];
+    this.coverOffset = null;
+    this.thumbnailOffset = null;
+  }
+
+  add(path) {
+    // Returns the 1-based recindex used by <img> tags
+    if (!path) return 0;
+    const index = this.paths.indexOf(path);
+    if (index >= 0) return index + 1;
+    this.paths.push(path);
+    return this.paths.length;
+  }
+}
+
+export { MobiWriter };
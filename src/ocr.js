@@ -48,12 +48,16 @@ class OCRProcessor {
   }
 
   async processPDF(pdfPath, options = {}, progressCallback = null) {
-    const { languages = ["eng"], density = 300 } = options;
+    const { languages = ["eng"], density = 300, pageCount, pageNumbers, renderPage } = options;
+    this.cancelled = false;
     await this.initialize(languages, progressCallback);
 
     try {
-      // First, get the number of pages in the PDF
-      const numPages = await this.getPDFPageCount(pdfPath);
+      // First, get the pages to read: the caller's selection, or every page in the PDF
+      const numbers =
+        pageNumbers ??
+        Array.from({ length: pageCount ?? (await this.getPDFPageCount(pdfPath)) }, (_, i) => i + 1);
+      const numPages = numbers.length;
 
       const results = { pages: [], fullText: "", averageConfidence: 0 };
       let totalConfidence = 0;
@@ -69,13 +73,15 @@ class OCRProcessor {
         if (this.cancelled) break; // Allow cancellation
 
         try {
-          // Extract page as image using Sharp
-          const imageBuffer = await sharp(pdfPath, {
-            page: i,
-            density: density,
-          })
-            .png()
-            .toBuffer();
+          // Extract page as image, through the caller's renderer when there is one
+          const imageBuffer = renderPage
+            ? await renderPage(numbers[i] - 1, density)
+            : await sharp(pdfPath, {
+                page: numbers[i] - 1,
+                density: density,
+              })
+                .png()
+                .toBuffer();
 
           // Preprocess the image
           const preprocessedBuffer = await this.preprocessImage(imageBuffer);
@@ -84,17 +90,19 @@ class OCRProcessor {
           const { data } = await this.worker.recognize(preprocessedBuffer);
 
           results.pages.push({
-            pageNumber: i + 1,
+            pageNumber: numbers[i],
             text: data.text,
             confidence: data.confidence,
           });
           results.fullText += data.text + "\n\n";
           totalConfidence += data.confidence;
         } catch (pageError) {
-          console.error(`Error processing page ${i + 1}:`, pageError);
+          // Terminating the worker mid-page is how a cancel interrupts recognition
+          if (this.cancelled) break;
+          console.error(`Error processing page ${numbers[i]}:`, pageError);
           // Add empty result for failed page
           results.pages.push({
-            pageNumber: i + 1,
+            pageNumber: numbers[i],
             text: "",
             confidence: 0,
           });
@@ -143,7 +151,6 @@ class OCRProcessor {
       this.worker = null;
       this.initialized = false;
     }
-    this.cancelled = false;
   }
 
   cancel() {
@@ -0,0 +1,67 @@
+class PageLinks {
+  // Link annotations of each selected page by page index, as fractions of the displayed page.
+  // Internal links carry the page index they jump to, external ones their URL.
+  async extract(pdfDoc, pageNumbers, resolveDestination) {
+    const links = new Map();
+    for (const pageNumber of pageNumbers) {
+      const page = await pdfDoc.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: 1 });
+      const pageLinks = [];
+      for (const annotation of await page.getAnnotations({ intent: "display" })) {
+        if (annotation.subtype !== "Link") continue;
+
+        let target;
+        if (annotation.url) {
+          target = { url: annotation.url };
+        } else if (annotation.dest) {
+          const pageIndex = await resolveDestination(pdfDoc, annotation.dest);
+          if (pageIndex === null) continue;
+          target = { pageIndex };
+        } else {
+          continue; // Named actions, scripts and attachments have nowhere to go in a book
+        }
+
+        // The viewport turns PDF units (origin at the bottom left) into the rotated page
+        const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(annotation.rect);
+        pageLinks.push({
+          left: Math.min(x1, x2) / viewport.width,
+          top: Math.min(y1, y2) / viewport.height,
+          width: Math.abs(x2 - x1) / viewport.width,
+          height: Math.abs(y2 - y1) / viewport.height,
+          ...target,
+        });
+      }
+      if (pageLinks.length > 0) links.set(pageNumber - 1, pageLinks);
+    }
+    return links;
+  }
+
+  // Moves a link onto one cropped or split piece of its page, or null if it lies outside it
+  place(link, region, rotate = 0) {
+    const area = region || { left: 0, top: 0, width: 1, height: 1 };
+    const left = Math.max(link.left, area.left);
+    const top = Math.max(link.top, area.top);
+    const right = Math.min(link.left + link.width, area.left + area.width);
+    const bottom = Math.min(link.top + link.height, area.top + area.height);
+    if (right <= left || bottom <= top) return null;
+
+    let box = {
+      left: (left - area.left) / area.width,
+      top: (top - area.top) / area.height,
+      width: (right - left) / area.width,
+      height: (bottom - top) / area.height,
+    };
+    // Pieces are turned clockwise, a quarter at a time
+    for (let turn = 0; turn < rotate; turn += 90) {
+      box = {
+        left: 1 - box.top - box.height,
+        top: box.left,
+        width: box.height,
+        height: box.width,
+      };
+    }
+    return box;
+  }
+}
+
+export { PageLinks };
@@ -0,0 +1,108 @@
+// Annotations that are navigation or form fields rather than something a reader marked
+const SKIPPED_TYPES = new Set(["Link", "Popup", "Widget"]);
+// Markup annotations whose point is the text under them
+const TEXT_MARKUP_TYPES = new Set(["Highlight", "Underline", "StrikeOut", "Squiggly"]);
+const TYPE_LABELS = {
+  Text: "Note",
+  FreeText: "Text box",
+  Highlight: "Highlight",
+  Underline: "Underline",
+  StrikeOut: "Strikeout",
+  Squiggly: "Underline",
+  Ink: "Drawing",
+  Stamp: "Stamp",
+};
+
+class PageNotes {
+  // Comments and marked passages of the selected pages in reading order. Their look is
+  // already drawn into the page images; this is the text that goes with them.
+  async extract(pdfDoc, pageNumbers) {
+    const notes = [];
+    for (const pageNumber of pageNumbers) {
+      const page = await pdfDoc.getPage(pageNumber);
+      const annotations = (await page.getAnnotations({ intent: "display" })).filter(
+        (annotation) => !SKIPPED_TYPES.has(annotation.subtype)
+      );
+      if (annotations.length === 0) continue;
+
+      const viewport = page.getViewport({ scale: 1 });
+      const textItems = annotations.some((a) => TEXT_MARKUP_TYPES.has(a.subtype))
+        ? (await page.getTextContent()).items
+        : [];
+
+      for (const annotation of annotations) {
+        const text = annotation.contentsObj?.str?.trim() || "";
+        const quote = TEXT_MARKUP_TYPES.has(annotation.subtype)
+          ? this.findQuote(annotation, textItems)
+          : "";
+        // A shape with nothing written in or under it has nothing to list
+        if (!text && !quote) continue;
+
+        const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(annotation.rect);
+        notes.push({
+          pageIndex: pageNumber - 1,
+          type: TYPE_LABELS[annotation.subtype] || annotation.subtype,
+          author: annotation.titleObj?.str?.trim() || "",
+          text,
+          quote,
+          left: Math.min(x1, x2) / viewport.width,
+          top: Math.min(y1, y2) / viewport.height,
+          width: Math.abs(x2 - x1) / viewport.width,
+          height: Math.abs(y2 - y1) / viewport.height,
+        });
+      }
+    }
+
+    return notes.map((note, i) => ({
+      ...note,
+      id: `note_${String(i + 1).padStart(3, "0")}`,
+      number: i + 1,
+    }));
+  }
+
+  // Text items whose middle falls inside one of the marked quads, in PDF units
+  findQuote(annotation, textItems) {
+    const points = annotation.quadPoints || [];
+    const quads = [];
+    for (let i = 0; i + 7 < points.length; i += 8) {
+      const xs = [points[i], points[i + 2], points[i + 4], points[i + 6]];
+      const ys = [points[i + 1], points[i + 3], points[i + 5], points[i + 7]];
+      quads.push({
+        left: Math.min(...xs),
+        right: Math.max(...xs),
+        bottom: Math.min(...ys),
+        top: Math.max(...ys),
+      });
+    }
+    if (quads.length === 0) return "";
+
+    // Items can run past a marked phrase, so it is narrowed to the words whose middle is
+    // marked. Character widths are averaged, since highlights rarely stop exactly at a letter.
+    const words = [];
+    for (const item of textItems) {
+      if (!item.str?.trim()) continue;
+      const [, , , , x, y] = item.transform;
+      const height = item.height || Math.abs(item.transform[3]);
+      const middle = y + height / 2;
+      const charWidth = item.width / [...item.str].length;
+      let offset = 0;
+      for (const word of item.str.split(/(\s+)/)) {
+        const length = [...word].length;
+        const center = x + (offset + length / 2) * charWidth;
+        offset += length;
+        if (!word.trim()) continue;
+        const marked = quads.some(
+          (quad) =>
+            middle >= quad.bottom &&
+            middle <= quad.top &&
+            center >= quad.left &&
+            center <= quad.right
+        );
+        if (marked) words.push(word);
+      }
+    }
+    return words.join(" ");
+  }
+}
+
+export { PageNotes };
@@ -0,0 +1,39 @@
+// A single page ("45"), a closed range ("1-20") or an open one ("100-", "-20")
+const RANGE_PATTERN = /^(\d+)?\s*(?:(-)\s*(\d+)?)?$/;
+
+class PageSelection {
+  // Turns "1-20, 45, 100-" into sorted page numbers; an empty selection means every page
+  parse(spec, numPages) {
+    const text = String(spec ?? "").trim();
+    if (!text) {
+      return Array.from({ length: numPages }, (_, i) => i + 1);
+    }
+
+    const pages = new Set();
+    for (const token of text.split(/[,;]/).map((part) => part.trim())) {
+      if (!token) continue;
+
+      const match = token.match(RANGE_PATTERN);
+      if (!match || (!match[1] && !match[3])) {
+        throw new Error(`Invalid page range "${token}"`);
+      }
+      const start = match[1] ? parseInt(match[1], 10) : 1;
+      const end = match[2] ? (match[3] ? parseInt(match[3], 10) : numPages) : start;
+      // Checked first, since an open range such as "9-" ends at the last page, before it starts
+      if (start > numPages) {
+        throw new Error(`Page range "${token}" starts after the last page (${numPages})`);
+      }
+      if (start < 1 || end < start) {
+        throw new Error(`Invalid page range "${token}"`);
+      }
+      for (let page = start; page <= Math.min(end, numPages); page++) pages.add(page);
+    }
+
+    if (pages.size === 0) {
+      throw new Error(`No pages selected by "${text}"`);
+    }
+    return [...pages].sort((a, b) => a - b);
+  }
+}
+
+export { PageSelection };
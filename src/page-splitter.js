@@ -0,0 +1,171 @@
+import sharp from "sharp";
+
+// Same low resolution and ink level the margin detection uses
+const DETECT_DENSITY = 36;
+const INK_THRESHOLD = 200;
+// Gutters sit around the middle of the page and are at least this share of its width
+const GUTTER_ZONE = [0.3, 0.7];
+const MIN_GUTTER = 0.015;
+// Titles and folios may cross the gutter on a few rows; body text crosses it on most
+const GUTTER_TOLERANCE = 0.2;
+// Columns have to carry most of the page to be worth splitting
+const MIN_COLUMN_SHARE = 0.5;
+// Full-width text shorter than this (running heads, folios) stays with the columns
+const MIN_SPAN_HEIGHT = 0.05;
+
+const WHOLE_PAGE = { left: 0, top: 0, width: 1, height: 1 };
+const HALVES = [
+  { left: 0, top: 0, width: 0.5, height: 1 },
+  { left: 0.5, top: 0, width: 0.5, height: 1 },
+];
+
+class PageSplitter {
+  // Returns the pieces of each page in reading order, as fractions of the page
+  async plan(pageSizes, renderPage, options = {}) {
+    const { mode = "none", signal } = options;
+
+    const plans = [];
+    for (let i = 0; i < pageSizes.length; i++) {
+      signal?.throwIfAborted();
+      const landscape = pageSizes[i].width > pageSizes[i].height;
+      switch (mode) {
+        case "columns":
+          plans.push(await this.splitColumns(await renderPage(i, DETECT_DENSITY)));
+          break;
+        case "landscape":
+          plans.push(landscape ? HALVES : [WHOLE_PAGE]);
+          break;
+        case "rotate":
+          // Turned clockwise, so the top of the slide faces the right edge of the screen
+          plans.push([landscape ? { ...WHOLE_PAGE, rotate: 90 } : WHOLE_PAGE]);
+          break;
+        default:
+          plans.push([WHOLE_PAGE]);
+      }
+    }
+    return plans;
+  }
+
+  async splitColumns(png) {
+    const { data, info } = await sharp(png).grayscale().raw().toBuffer({ resolveWithObject: true });
+    const { width, height, channels } = info;
+    const isInk = (x, y) => data[(y * width + x) * channels] < INK_THRESHOLD;
+
+    const inkRows = [];
+    const columnInk = new Array(width).fill(0);
+    for (let y = 0; y < height; y++) {
+      let rowHasInk = false;
+      for (let x = 0; x < width; x++) {
+        if (!isInk(x, y)) continue;
+        columnInk[x]++;
+        rowHasInk = true;
+      }
+      if (rowHasInk) inkRows.push(y);
+    }
+    if (inkRows.length === 0) return [WHOLE_PAGE];
+
+    const gutter = this.findGutter(columnInk, width, inkRows.length * GUTTER_TOLERANCE);
+    if (!gutter) return [WHOLE_PAGE];
+
+    // The columns are the longest stretch of lines that never cross the gutter. Ragged line
+    // ends reach into its edges, so only its middle third has to stay clear.
+    const third = Math.floor((gutter.end - gutter.start + 1) / 3);
+    const crossesGutter = (y) => {
+      for (let x = gutter.start + third; x <= gutter.end - third; x++) if (isInk(x, y)) return true;
+      return false;
+    };
+    let best = null;
+    let run = null;
+    for (const line of this.findLines(inkRows)) {
+      if (line.rows.some(crossesGutter)) {
+        run = null;
+        continue;
+      }
+      run = run
+        ? { ...run, end: line.end, rows: run.rows + line.rows.length }
+        : { start: line.start, end: line.end, rows: line.rows.length };
+      if (!best || run.rows > best.rows) best = run;
+    }
+    if (!best || best.rows < inkRows.length * MIN_COLUMN_SHARE) return [WHOLE_PAGE];
+
+    const mid = (gutter.start + gutter.end + 1) / 2;
+    const hasInk = (fromX, toX) =>
+      inkRows.some((y) => {
+        if (y < best.start || y > best.end) return false;
+        for (let x = fromX; x < toX; x++) if (isInk(x, y)) return true;
+        return false;
+      });
+    if (!hasInk(0, gutter.start) || !hasInk(gutter.end + 1, width)) return [WHOLE_PAGE];
+
+    // Full-width text above and below becomes its own piece unless it is only a thin line
+    const spanHeight = (from, to) => {
+      const rows = inkRows.filter((y) => y >= from && y < to);
+      return rows.length > 0 ? rows[rows.length - 1] - rows[0] + 1 : 0;
+    };
+    const minSpan = height * MIN_SPAN_HEIGHT;
+    const top = spanHeight(0, best.start) >= minSpan ? best.start : 0;
+    const bottom = spanHeight(best.end + 1, height) >= minSpan ? best.end + 1 : height;
+
+    const pieces = [];
+    if (top > 0) pieces.push({ left: 0, top: 0, width: 1, height: top / height });
+    pieces.push(
+      { left: 0, top: top / height, width: mid / width, height: (bottom - top) / height },
+      {
+        left: mid / width,
+        top: top / height,
+        width: 1 - mid / width,
+        height: (bottom - top) / height,
+      }
+    );
+    if (bottom < height) {
+      pieces.push({ left: 0, top: bottom / height, width: 1, height: 1 - bottom / height });
+    }
+    return pieces;
+  }
+
+  // Groups consecutive ink rows into lines of text
+  findLines(inkRows) {
+    const lines = [];
+    for (const y of inkRows) {
+      const line = lines[lines.length - 1];
+      if (line && y === line.end + 1) {
+        line.end = y;
+        line.rows.push(y);
+      } else {
+        lines.push({ start: y, end: y, rows: [y] });
+      }
+    }
+    return lines;
+  }
+
+  findGutter(columnInk, width, tolerance) {
+    const from = Math.floor(width * GUTTER_ZONE[0]);
+    const to = Math.ceil(width * GUTTER_ZONE[1]);
+    let best = null;
+    let start = null;
+    for (let x = from; x <= to; x++) {
+      if (x < to && columnInk[x] <= tolerance) {
+        start ??= x;
+        continue;
+      }
+      if (start !== null && (!best || x - start > best.end - best.start + 1)) {
+        best = { start, end: x - 1 };
+      }
+      start = null;
+    }
+    return best && best.end - best.start + 1 >= width * MIN_GUTTER ? best : null;
+  }
+
+  // Narrows a piece to the cropped area of the page, or null if nothing of it is left
+  clip(piece, crop) {
+    if (!crop) return piece;
+    const left = Math.max(piece.left, crop.left);
+    const top = Math.max(piece.top, crop.top);
+    const right = Math.min(piece.left + piece.width, crop.left + crop.width);
+    const bottom = Math.min(piece.top + piece.height, crop.top + crop.height);
+    if (right <= left || bottom <= top) return null;
+    return { ...piece, left, top, width: right - left, height: bottom - top };
+  }
+}
+
+export { PageSplitter };
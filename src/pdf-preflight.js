@@ -0,0 +1,259 @@
+import { PDFDocument, PDFDict, PDFName, PDFArray } from "pdf-lib";
+
+// Readers look for the header and the closing startxref within this much of either end
+const EDGE_BYTES = 1024;
+// Pages sampled for text; enough to tell a scan from a born-digital file
+const SAMPLE_PAGES = 10;
+// Fewer characters than this on a page means it is most likely a picture of text
+const SCANNED_TEXT_LENGTH = 100;
+const FONT_FILE_KEYS = ["FontFile", "FontFile2", "FontFile3"];
+
+class PDFPreflight {
+  // Checks a PDF before anything renders it, repairing what can be repaired. `open` turns
+  // bytes into a pdfjs document (asking for a password if needed); the result carries the
+  // bytes to convert from, which are a repaired copy if the original was damaged.
+  async check(data, open) {
+    const bytes = new Uint8Array(data);
+    const damage = this.inspectStructure(bytes);
+    // Null when pdf-lib cannot read it, which says little on its own: it cannot decrypt
+    const source = await this.loadStructure(bytes);
+
+    let converted = bytes;
+    let repair = null;
+    if (damage.length > 0) {
+      ({ data: converted, method: repair } = await this.repair(bytes, source));
+    }
+
+    let opened;
+    try {
+      opened = await open(converted);
+    } catch (error) {
+      // Missing passwords are the user's to fix; a file that looked intact may still be
+      // repairable, while one that was already repaired is not
+      if (error.name === "PasswordError") throw error;
+      if (!repair) {
+        ({ data: converted, method: repair } = await this.repair(bytes, source));
+        opened = repair
+          ? await open(converted).catch((retryError) => {
+              if (retryError.name === "PasswordError") throw retryError;
+              return null;
+            })
+          : null;
+      }
+      if (!opened) {
+        throw new Error(`This file is not a PDF or is too damaged to open (${error.message})`);
+      }
+      damage.push(`The file could not be opened as it was (${error.message})`);
+    }
+
+    const { pdfDoc, password } = opened;
+    // Truncated content only shows once a page is parsed, which is too slow for every file
+    const unreadablePages = [];
+    for (let pageNumber = 1; pageNumber <= pdfDoc.numPages; pageNumber++) {
+      try {
+        const page = await pdfDoc.getPage(pageNumber);
+        if (damage.length > 0) await page.getTextContent();
+      } catch {
+        unreadablePages.push(pageNumber);
+      }
+    }
+    if (unreadablePages.length > 0) {
+      damage.push(
+        `${unreadablePages.length} of ${pdfDoc.numPages} pages could not be read and are left out`
+      );
+    }
+
+    return {
+      data: converted,
+      pdfDoc,
+      password,
+      health: {
+        version: this.readVersion(bytes),
+        pageCount: pdfDoc.numPages,
+        encrypted: source ? source.isEncrypted : !!password,
+        fonts: source ? this.listFonts(source) : null,
+        scannedRatio: await this.measureScannedRatio(pdfDoc, unreadablePages),
+        damage,
+        unreadablePages,
+        repair,
+      },
+    };
+  }
+
+  // Problems a strict reader trips over: stray bytes before the header, a missing end and
+  // a cross-reference table that is not where the file says it is
+  inspectStructure(bytes) {
+    const damage = [];
+    const head = this.latin1(bytes.subarray(0, EDGE_BYTES));
+    const headerAt = head.indexOf("%PDF-");
+    if (headerAt === -1) damage.push("The PDF header is missing");
+    else if (headerAt > 0) damage.push(`${headerAt} stray bytes come before the PDF header`);
+
+    const tail = this.latin1(bytes.subarray(Math.max(0, bytes.length - EDGE_BYTES)));
+    if (!tail.includes("%%EOF")) {
+      damage.push("The end of the file is missing, it may be an incomplete download");
+    }
+
+    const startxref = [...tail.matchAll(/startxref\s+(\d+)/g)].pop();
+    const offset = startxref ? parseInt(startxref[1], 10) + Math.max(headerAt, 0) : -1;
+    const target = offset >= 0 ? this.latin1(bytes.subarray(offset, offset + 32)) : "";
+    if (!/^\s*(xref|\d+\s+\d+\s+obj)/.test(target)) {
+      damage.push("The cross-reference table is missing or in the wrong place");
+    }
+    return damage;
+  }
+
+  // pdf-lib reads objects front to back instead of trusting the cross-reference table,
+  // which makes it a good second opinion on a damaged file
+  async loadStructure(bytes) {
+    try {
+      const doc = await PDFDocument.load(bytes, {
+        ignoreEncryption: true,
+        throwOnInvalidObject: false,
+        updateMetadata: false,
+      });
+      return doc.catalog.get(PDFName.of("Pages")) ? doc : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Re-saving through pdf-lib writes every object it could read under a fresh table. It
+  // cannot decrypt, so encrypted files only get a new table pointing at what is there.
+  async repair(bytes, doc) {
+    if (doc && !doc.isEncrypted) {
+      try {
+        return { data: await doc.save({ useObjectStreams: false }), method: "resaved" };
+      } catch (error) {
+        console.warn("Could not re-save PDF, rebuilding its cross-reference table:", error);
+      }
+    }
+    const rebuilt = this.rebuildXref(bytes);
+    return rebuilt ? { data: rebuilt, method: "xref-rebuilt" } : { data: bytes, method: null };
+  }
+
+  // Appends a cross-reference table listing every object found in the file, and a trailer
+  // that points at the catalog, so readers no longer depend on the damaged one
+  rebuildXref(bytes) {
+    const text = this.latin1(bytes);
+    // Objects packed into object streams have no header of their own to find, and a plain
+    // table cannot point inside a stream, so such files would come out missing their pages
+    if (/\/Type\s*\/ObjStm\b/.test(text)) return null;
+    const objects = [];
+    for (const match of text.matchAll(/(\d+)\s+(\d+)\s+obj\b/g)) {
+      // Later copies of an object are incremental updates and replace earlier ones
+      objects[parseInt(match[1], 10)] = { offset: match.index, generation: match[2] };
+    }
+    if (objects.length === 0) return null;
+
+    const trailer = (pattern) => [...text.matchAll(pattern)].pop()?.[0];
+    let root = trailer(/\/Root\s+\d+\s+\d+\s+R/g);
+    if (!root) {
+      const catalogAt = text.search(/\/Type\s*\/Catalog\b/);
+      if (catalogAt === -1) return null;
+      const [number, entry] =
+        objects
+          .map((object, number) => [number, object])
+          .filter(([, object]) => object && object.offset < catalogAt)
+          .pop() || [];
+      if (!entry) return null;
+      root = `/Root ${number} ${entry.generation} R`;
+    }
+    const extras = [
+      trailer(/\/Info\s+\d+\s+\d+\s+R/g),
+      trailer(/\/Encrypt\s+\d+\s+\d+\s+R/g),
+      trailer(/\/ID\s*\[\s*<[0-9A-Fa-f]*>\s*<[0-9A-Fa-f]*>\s*\]/g),
+    ].filter(Boolean);
+
+    const entries = ["0000000000 65535 f \n"];
+    for (let number = 1; number < objects.length; number++) {
+      const object = objects[number];
+      entries.push(
+        object
+          ? `${String(object.offset).padStart(10, "0")} ${object.generation.padStart(5, "0")} n \n`
+          : "0000000000 00000 f \n"
+      );
+    }
+    const xrefAt = bytes.length + 1;
+    const appended =
+      `\nxref\n0 ${objects.length}\n${entries.join("")}` +
+      `trailer\n<< /Size ${objects.length} ${root} ${extras.join(" ")} >>\n` +
+      `startxref\n${xrefAt}\n%%EOF\n`;
+    return Buffer.concat([bytes, Buffer.from(appended, "latin1")]);
+  }
+
+  // Fonts by name, with the ones that rely on the reader having them installed
+  listFonts(doc) {
+    const fonts = new Map();
+    for (const [, object] of doc.context.enumerateIndirectObjects()) {
+      if (!(object instanceof PDFDict)) continue;
+      if (object.get(PDFName.of("Type"))?.toString() !== "/Font") continue;
+      const subtype = object.get(PDFName.of("Subtype"))?.toString();
+      // Descendants are counted through the composite font that uses them
+      if (subtype === "/CIDFontType0" || subtype === "/CIDFontType2") continue;
+
+      const name = (object.get(PDFName.of("BaseFont"))?.toString() || "/Unnamed")
+        .slice(1)
+        .replace(/^[A-Z]{6}\+/, ""); // Subset prefix
+      const embedded = subtype === "/Type3" || this.hasFontFile(doc, object);
+      fonts.set(name, fonts.get(name) || embedded);
+    }
+    return {
+      count: fonts.size,
+      notEmbedded: [...fonts].filter(([, embedded]) => !embedded).map(([name]) => name),
+    };
+  }
+
+  hasFontFile(doc, font) {
+    let descriptorOwner = font;
+    const descendants = doc.context.lookup(font.get(PDFName.of("DescendantFonts")));
+    if (descendants instanceof PDFArray) {
+      descriptorOwner = doc.context.lookup(descendants.get(0));
+    }
+    const descriptor =
+      descriptorOwner instanceof PDFDict
+        ? doc.context.lookup(descriptorOwner.get(PDFName.of("FontDescriptor")))
+        : null;
+    return (
+      descriptor instanceof PDFDict && FONT_FILE_KEYS.some((key) => descriptor.get(PDFName.of(key)))
+    );
+  }
+
+  // Share of sampled pages, spread over the document, that carry next to no text
+  async measureScannedRatio(pdfDoc, unreadablePages) {
+    const readable = Array.from({ length: pdfDoc.numPages }, (_, i) => i + 1).filter(
+      (pageNumber) => !unreadablePages.includes(pageNumber)
+    );
+    const step = Math.max(1, readable.length / SAMPLE_PAGES);
+    const sample = [];
+    for (let i = 0; i < readable.length && sample.length < SAMPLE_PAGES; i += step) {
+      sample.push(readable[Math.floor(i)]);
+    }
+    if (sample.length === 0) return 0;
+
+    let scanned = 0;
+    for (const pageNumber of sample) {
+      try {
+        const content = await (await pdfDoc.getPage(pageNumber)).getTextContent();
+        const length = content.items
+          .map((item) => item.str)
+          .join("")
+          .trim().length;
+        if (length < SCANNED_TEXT_LENGTH) scanned++;
+      } catch {
+        scanned++; // A page whose text cannot be read is no better than a scan
+      }
+    }
+    return scanned / sample.length;
+  }
+
+  readVersion(bytes) {
+    return this.latin1(bytes.subarray(0, EDGE_BYTES)).match(/%PDF-(\d\.\d)/)?.[1] ?? null;
+  }
+
+  latin1(bytes) {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString("latin1");
+  }
+}
+
+export { PDFPreflight };
@@ -0,0 +1,212 @@
+import { promises as fs } from "fs";
+import { join, dirname, delimiter } from "path";
+import { createRequire } from "module";
+import { v4 as uuidv4 } from "uuid";
+import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf.mjs";
+import sharp from "sharp";
+import os from "os";
+import { ConverterBackends } from "./converter-backends.js";
+
+const require = createRequire(import.meta.url);
+const RENDER_TIMEOUT = 2 * 60 * 1000;
+
+// Preferred first: libvips renders straight into the image pipeline, pdfjs ships with the app
+const AUTO_ORDER = ["libvips", "pdfjs", "pdftoppm", "mutool"];
+
+class PDFRenderers {
+  constructor() {
+    // Shared helpers for finding and running command line tools
+    this.processes = new ConverterBackends();
+    this.detection = null;
+    this.document = null;
+    this.renderers = {
+      libvips: {
+        name: "libvips (sharp)",
+        isAvailable: async () => sharp.format.pdf?.input?.file === true,
+        // sharp has no way to hand poppler a password
+        opensEncrypted: false,
+      },
+      pdfjs: {
+        name: "PDF.js",
+        isAvailable: async () => !!this.loadCanvas(),
+      },
+      pdftoppm: {
+        name: "Poppler (pdftoppm)",
+        executable: "pdftoppm",
+        installPaths: {
+          darwin: ["/opt/homebrew/bin", "/usr/local/bin"],
+          win32: ["C:\\Program Files\\poppler\\Library\\bin"],
+          linux: [],
+        },
+        // Passwords can only go on the command line, where other users can read them
+        opensEncrypted: false,
+        // Writes <prefix>.png for the one page asked for
+        buildArgs: ({ pdfPath, pageNumber, density, outputBase }) => [
+          "-f",
+          String(pageNumber),
+          "-l",
+          String(pageNumber),
+          "-r",
+          String(density),
+          "-png",
+          "-singlefile",
+          pdfPath,
+          outputBase,
+        ],
+      },
+      mutool: {
+        name: "MuPDF (mutool)",
+        executable: "mutool",
+        installPaths: {
+          darwin: ["/opt/homebrew/bin", "/usr/local/bin"],
+          win32: ["C:\\Program Files\\MuPDF"],
+          linux: [],
+        },
+        opensEncrypted: false,
+        buildArgs: ({ pdfPath, pageNumber, density, outputBase }) => [
+          "draw",
+          "-q",
+          "-r",
+          String(density),
+          "-o",
+          `${outputBase}.png`,
+          pdfPath,
+          String(pageNumber),
+        ],
+      },
+    };
+  }
+
+  async detect(refresh = false) {
+    if (!this.detection || refresh) {
+      this.detection = Promise.all(
+        Object.entries(this.renderers).map(async ([id, renderer]) => {
+          const path = renderer.executable ? await this.findExecutable(renderer) : null;
+          const found = renderer.executable ? !!path : await renderer.isAvailable();
+          return { id, name: renderer.name, found, path };
+        })
+      );
+    }
+    return this.detection;
+  }
+
+  async resolve(preferred = "auto", { encrypted = false } = {}) {
+    const detected = await this.detect();
+    const order = preferred && preferred !== "auto" ? [preferred, ...AUTO_ORDER] : AUTO_ORDER;
+    // A chosen renderer that has gone missing, or cannot open the file, falls back to
+    // whatever does work
+    const renderer = order
+      .map((id) => detected.find((entry) => entry.id === id))
+      .find(
+        (entry) => entry?.found && !(encrypted && this.renderers[entry.id].opensEncrypted === false)
+      );
+    if (!renderer && encrypted) {
+      throw new Error("Password-protected PDFs need the PDF.js renderer, which is not available.");
+    }
+    if (!renderer) {
+      throw new Error(
+        "No PDF renderer is available. Install Poppler or MuPDF, or use a sharp build with PDF support."
+      );
+    }
+    return { id: renderer.id, path: renderer.path };
+  }
+
+  async render(renderer, { pdfPath, pageIndex, density, password }) {
+    switch (renderer.id) {
+      case "libvips":
+        return sharp(pdfPath, { page: pageIndex, density });
+      case "pdfjs":
+        return sharp(await this.renderWithPdfjs(pdfPath, pageIndex, density, password));
+      case "pdftoppm":
+      case "mutool":
+        return sharp(await this.renderWithCommand(renderer, pdfPath, pageIndex, density));
+      default:
+        throw new Error(`Unknown PDF renderer: ${renderer.id}`);
+    }
+  }
+
+  async renderWithPdfjs(pdfPath, pageIndex, density, password) {
+    const { createCanvas } = this.loadCanvas();
+    const pdfDoc = await this.loadDocument(pdfPath, password);
+    const page = await pdfDoc.getPage(pageIndex + 1);
+    try {
+      const viewport = page.getViewport({ scale: density / 72 });
+      const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+      const context = canvas.getContext("2d");
+      // PDF pages are drawn onto paper, not transparency
+      context.fillStyle = "#ffffff";
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      await page.render({ canvasContext: context, viewport }).promise;
+      return canvas.toBuffer("image/png");
+    } finally {
+      page.cleanup();
+    }
+  }
+
+  async renderWithCommand(renderer, pdfPath, pageIndex, density) {
+    const outputBase = join(os.tmpdir(), `J.A.S.O.N._page_${uuidv4()}`);
+    const args = this.renderers[renderer.id].buildArgs({
+      pdfPath,
+      pageNumber: pageIndex + 1,
+      density,
+      outputBase,
+    });
+    try {
+      await this.processes.spawnProcess(renderer.path, args, {
+        timeout: RENDER_TIMEOUT,
+        successCodes: [0],
+      });
+      return await fs.readFile(`${outputBase}.png`);
+    } finally {
+      await fs.rm(`${outputBase}.png`, { force: true }).catch(() => {});
+    }
+  }
+
+  async loadDocument(pdfPath, password) {
+    // Pages usually arrive in runs from the same file, so the last document stays open
+    if (this.document?.pdfPath !== pdfPath || this.document.password !== password) {
+      await this.closeDocument();
+      const data = new Uint8Array(await fs.readFile(pdfPath));
+      this.document = {
+        pdfPath,
+        password,
+        promise: pdfjsLib.getDocument({ data, password, ...this.getDocumentOptions() }).promise,
+      };
+    }
+    return this.document.promise;
+  }
+
+  async closeDocument() {
+    if (!this.document) return;
+    const { promise } = this.document;
+    this.document = null;
+    await promise.then((pdfDoc) => pdfDoc.destroy()).catch(() => {});
+  }
+
+  loadCanvas() {
+    try {
+      return require("@napi-rs/canvas");
+    } catch {
+      return null;
+    }
+  }
+
+  async findExecutable(renderer) {
+    const searchPath = (process.env.PATH || "").split(delimiter).filter(Boolean);
+    const installPaths = renderer.installPaths[process.platform] || [];
+    return this.processes.findInDirectories(renderer.executable, [...searchPath, ...installPaths]);
+  }
+
+  // Fonts and character maps pdfjs needs to draw text it cannot find in the file
+  getDocumentOptions() {
+    const root = dirname(require.resolve("pdfjs-dist/package.json"));
+    return {
+      standardFontDataUrl: join(root, "standard_fonts") + "/",
+      cMapUrl: join(root, "cmaps") + "/",
+      cMapPacked: true,
+      wasmUrl: join(root, "wasm") + "/",
+    };
+  }
+}
+
+export { PDFRenderers };
@@ -1,3 +1,17 @@
+import { createRequire } from "module";
+
+// pdfjs renders through @napi-rs/canvas, which also provides the real DOM geometry classes.
+// Canvas and OffscreenCanvas are deliberately not stubbed: pdfjs treats their presence as
+// working canvas support and silently renders blank pages.
+try {
+  const canvas = createRequire(import.meta.url)("@napi-rs/canvas");
+  globalThis.DOMMatrix ??= canvas.DOMMatrix;
+  globalThis.Path2D ??= canvas.Path2D;
+  globalThis.ImageData ??= canvas.ImageData;
+} catch {
+  // Without the canvas package only text extraction works, and the stub below is enough
+}
+
 // Polyfill DOMMatrix for Node.js compatibility with pdfjs-dist
 if (typeof globalThis.DOMMatrix === "undefined") {
   globalThis.DOMMatrix = class DOMMatrix {
@@ -75,68 +89,3 @@ if (typeof globalThis.DOMMatrix === "undefined") {
     }
   };
 }
-
-// Polyfill Canvas for Node.js compatibility with pdfjs-dist
-if (typeof globalThis.OffscreenCanvas === "undefined") {
-  globalThis.OffscreenCanvas = class OffscreenCanvas {
-    constructor(width, height) {
-      this.width = width;
-      this.height = height;
-    }
-
-    getContext(contextType) {
-      if (contextType === "2d") {
-        return {
-          fillRect: () => {},
-          clearRect: () => {},
-          getImageData: (x, y, w, h) => ({
-            data: new Uint8ClampedArray(w * h * 4),
-          }),
-          putImageData: () => {},
-          createImageData: (w, h) => ({
-            data: new Uint8ClampedArray(w * h * 4),
-          }),
-          setTransform: () => {},
-          drawImage: () => {},
-          save: () => {},
-          fillText: () => {},
-          restore: () => {},
-          beginPath: () => {},
-          moveTo: () => {},
-          lineTo: () => {},
-          closePath: () => {},
-          stroke: () => {},
-          fill: () => {},
-          measureText: () => ({ width: 0 }),
-          isPointInPath: () => false,
-        };
-      }
-      return null;
-    }
-
-    convertToBlob() {
-      return Promise.resolve(new Blob());
-    }
-  };
-}
-
-if (typeof globalThis.HTMLCanvasElement === "undefined") {
-  globalThis.HTMLCanvasElement = class HTMLCanvasElement {
-    constructor() {
-      this.width = 0;
-      this.height = 0;
-    }
-
-    getContext(contextType) {
-      return new globalThis.OffscreenCanvas(this.width, this.height).getContext(contextType);
-    }
-
-    toDataURL() {
-      return "data:image/png;base64,";
-    }
-
-    toBlob(callback) {
-      callback(new Blob());
-    }
-  };
-}
@@ -7,14 +7,25 @@ try {
     selectPDFFiles: () => ipcRenderer.invoke("select-pdf-files"),
     selectPDFFolder: () => ipcRenderer.invoke("select-pdf-folder"),
     selectOutputDirectory: () => ipcRenderer.invoke("select-output-directory"),
+    selectCoverImage: () => ipcRenderer.invoke("select-cover-image"),
     openFileLocation: (filePath) => ipcRenderer.invoke("open-file-location", filePath),
 
     // Conversion
     convertPDF: (options) => ipcRenderer.invoke("convert-pdf", options),
+    cancelConversion: (jobId) => ipcRenderer.invoke("cancel-conversion", jobId),
+    previewCrop: (inputPath, settings) =>
+      ipcRenderer.invoke("preview-crop", { inputPath, settings }),
+    getPageThumbnails: (inputPath, firstPage, count) =>
+      ipcRenderer.invoke("page-thumbnails", { inputPath, firstPage, count }),
+    inspectPDF: (inputPath) => ipcRenderer.invoke("inspect-pdf", inputPath),
+    respondToPrompt: (requestId, response) =>
+      ipcRenderer.invoke("prompt-response", { requestId, response }),
 
     // Settings
     getSettings: () => ipcRenderer.invoke("get-settings"),
     saveSettings: (settings) => ipcRenderer.invoke("save-settings", settings),
+    detectConverterBackends: (paths) => ipcRenderer.invoke("detect-converter-backends", paths),
+    detectPDFRenderers: () => ipcRenderer.invoke("detect-pdf-renderers"),
 
     // Kindle Device
     kindleGetDevices: () => ipcRenderer.invoke("kindle-get-devices"),
@@ -36,6 +47,10 @@ try {
     // Listeners
     onConversionProgress: (callback) =>
       ipcRenderer.on("conversion-progress", (event, data) => callback(data)),
+    onChapterPreview: (callback) =>
+      ipcRenderer.on("chapter-preview", (event, data) => callback(data)),
+    onPasswordRequest: (callback) =>
+      ipcRenderer.on("pdf-password", (event, data) => callback(data)),
     onMenuAction: (action, callback) =>
       ipcRenderer.on("menu-action", (event, name) => {
         if (name === action) callback();
@@ -0,0 +1,171 @@
+import { TextLayoutAnalyzer } from "./text-layout.js";
+import { BookMetadata } from "./book-metadata.js";
+
+// Title pages and imprints are at the front; scanned books often end with the back cover
+const FRONT_PAGES = 8;
+const BACK_PAGES = 2;
+// Nine digits and a check character, or thirteen digits starting with the EAN book prefix,
+// with the hyphens or spaces publishers print between the groups
+const ISBN_PATTERN =
+  /(ISBN(?:-1[03])?[:\s]*)?(?<![\d-])((?:97[89][ -]?)?(?:\d[ -]?){9}[\dX])(?![\d-])/gi;
+const EBOOK_QUALIFIER = /e-?book|electronic|digital|epub|pdf|online|\be-?isbn/i;
+const DOI_PATTERN = /\b(10\.\d{4,9}\/[^\s"'<>]+)/g;
+const PUBLISHED_BY = /\bpublished (?:in \d{4} )?by:?\s+(?:the\s+)?([^\n,;]+)/i;
+const PUBLISHER_NAME =
+  /\b((?:\p{Lu}[\p{L}&'’.-]*\s+){1,4}(?:University Press|Press|Publishing(?: Group| House| Company)?|Publishers|Verlag|Books))\b/u;
+// Lines that are about the document rather than its title or authors
+const BOILERPLATE =
+  /copyright|©|\bisbn\b|\bdoi\b|all rights reserved|arxiv|journal|\bvol\.|volume|\bissn\b|received|accepted|published|https?:|www\.|@/i;
+// Two to five capitalized words, such as "Jane Q. Doe" or "Ana de la Cruz"
+const PERSON_NAME =
+  /^\p{Lu}[\p{L}.'’-]*(?:\s+(?:(?:de|del|den|der|van|von|da|di|du|le|la)\s+)*\p{Lu}[\p{L}.'’-]*){1,4}$/u;
+
+class PublicationInfo {
+  constructor() {
+    this.analyzer = new TextLayoutAnalyzer({ resolveFonts: false });
+    this.bookMetadata = new BookMetadata();
+  }
+
+  // Pages worth reading for an imprint, in the order they are searched
+  samplePages(pageNumbers) {
+    return [...new Set([...pageNumbers.slice(0, FRONT_PAGES), ...pageNumbers.slice(-BACK_PAGES)])];
+  }
+
+  // ISBN, DOI, title, authors and publisher found in the text of the sampled pages, each
+  // left out when nothing convincing was found. Title and authors come from the layout of
+  // the first page when the PDF has text, and from its first lines when it was read by OCR.
+  async extract(pdfDoc, pages, { ocr = false } = {}) {
+    const found = {};
+
+    const isbns = pages.flatMap((page) => this.findISBNs(page.text, page.pageNumber));
+    if (isbns.length > 0) {
+      found.isbns = isbns;
+      found.isbn = (isbns.find((entry) => EBOOK_QUALIFIER.test(entry.qualifier)) || isbns[0]).isbn;
+    }
+
+    // DOIs at the back of a paper are the ones it cites, not its own
+    const doi = pages
+      .slice(0, 2)
+      .map((page) => this.findDOI(page.text))
+      .find(Boolean);
+    if (doi) found.doi = doi;
+
+    const publisher = this.findPublisher(pages.map((page) => page.text).join("\n"));
+    if (publisher) found.publisher = publisher;
+
+    const { title, authors } = ocr
+      ? this.guessFromText(pages[0].text)
+      : this.guessFromLayout(
+          await this.analyzer.analyzePage(await pdfDoc.getPage(pages[0].pageNumber))
+        );
+    if (title) found.title = title;
+    if (authors?.length > 0) found.authors = authors;
+
+    return found;
+  }
+
+  findISBNs(text, pageNumber) {
+    const isbns = [];
+    for (const match of (text || "").matchAll(ISBN_PATTERN)) {
+      const isbn = this.bookMetadata.normalizeISBN(match[2]);
+      // Unlabelled numbers only count when they are long enough not to match by chance
+      if (!match[1] && isbn.length !== 13) continue;
+      if (!this.bookMetadata.isValidISBN(isbn)) continue;
+      if (isbns.some((entry) => entry.isbn === isbn)) continue;
+
+      // Editions are told apart by a note such as "(pbk.)" after the number or "eISBN" before
+      const after = text.slice(match.index + match[0].length).match(/^\s*\(([^)\n]{1,30})\)/);
+      const labelEnd = match.index + match[0].length - match[2].length;
+      const before = text.slice(Math.max(0, match.index - 20), labelEnd).match(EBOOK_QUALIFIER);
+      isbns.push({ isbn, qualifier: after?.[1].trim() || before?.[0] || "", pageNumber });
+    }
+    return isbns;
+  }
+
+  // The first well-formed DOI, without the punctuation of the sentence around it
+  findDOI(text) {
+    for (const match of (text || "").matchAll(DOI_PATTERN)) {
+      let doi = match[1].replace(/[.,;:]+$/, "");
+      // Parentheses are allowed in DOIs, so only one that closes nothing is trimmed
+      while (/[)\]]$/.test(doi) && this.count(doi, /[)\]]/g) > this.count(doi, /[([]/g)) {
+        doi = doi.slice(0, -1).replace(/[.,;:]+$/, "");
+      }
+      if (this.bookMetadata.isValidDOI(doi)) return doi;
+    }
+    return null;
+  }
+
+  findPublisher(text) {
+    const publishedBy = text.match(PUBLISHED_BY);
+    if (publishedBy) return publishedBy[1].trim().replace(/\.$/, "");
+    return text.match(PUBLISHER_NAME)?.[1].trim() || null;
+  }
+
+  // The largest text in the upper part of the page, if anything stands out from the body,
+  // and the byline right below it
+  guessFromLayout(page) {
+    const lines = page.lines.filter((line) => line.text.length > 1 && !BOILERPLATE.test(line.text));
+    const upper = lines.filter((line) => line.y > page.height * 0.4);
+    if (upper.length === 0) return {};
+
+    const largest = Math.max(...upper.map((line) => line.fontSize));
+    if (largest < this.analyzer.getBodyFontSize([page]) * 1.2) return {};
+
+    // Long titles wrap over a few lines of the same size
+    const start = lines.indexOf(upper.find((line) => line.fontSize === largest));
+    let end = start;
+    while (end - start < 3 && Math.abs((lines[end + 1]?.fontSize ?? 0) - largest) < 0.5) end++;
+    const title = lines
+      .slice(start, end + 1)
+      .map((line) => line.text)
+      .join(" ");
+
+    const byline = lines
+      .slice(end + 1, end + 5)
+      .map((line) => this.parseByline(line.text))
+      .find((names) => names.length > 0);
+    return { title: this.cleanTitle(title), authors: byline || [] };
+  }
+
+  // Without font sizes, the first line that reads like a title, and a byline near it
+  guessFromText(text) {
+    const lines = (text || "")
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => /\p{L}{2,}/u.test(line) && !BOILERPLATE.test(line));
+    const titleAt = lines.findIndex((line) => line.split(/\s+/).length <= 20);
+    if (titleAt === -1) return {};
+
+    const following = lines.slice(titleAt + 1, titleAt + 6);
+    const marked = following.find((line) => /^by\s/i.test(line));
+    const authors = this.parseByline(marked || following[0] || "");
+    return { title: this.cleanTitle(lines[titleAt]), authors };
+  }
+
+  // Names in a byline such as "by Jane Doe and John Smith" or "J. Doe¹, J. Smith²*", or
+  // none if any part of it does not look like a name
+  parseByline(text) {
+    const cleaned = text
+      .replace(/^by\s+/i, "")
+      .replace(/[*†‡§¶¹²³⁴⁵⁶⁷⁸⁹⁰]/g, "")
+      .replace(/(\p{L})\d+(?:,\d+)*/gu, "$1") // Affiliation numbers
+      .replace(/\s+\d+(?:,\d+)*(?=\s*(?:,|&|\band\b|$))/g, "");
+    const names = cleaned
+      .split(/\s*(?:,|;|&|\band\b)\s*/)
+      .map((name) => name.trim())
+      .filter(Boolean);
+    if (names.length === 0 || !names.every((name) => PERSON_NAME.test(name))) return [];
+    return names;
+  }
+
+  cleanTitle(title) {
+    const cleaned = title.replace(/\s+/g, " ").trim();
+    return cleaned.length >= 3 && cleaned.length <= 200 ? cleaned : "";
+  }
+
+  count(text, pattern) {
+    return (text.match(pattern) || []).length;
+  }
+}
+
+export { PublicationInfo };
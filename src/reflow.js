@@ -0,0 +1,232 @@
+import { OPS, Util } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { TextLayoutAnalyzer } from "./text-layout.js";
+
+const IMAGE_OPS = new Set([
+  OPS.paintImageXObject,
+  OPS.paintInlineImageXObject,
+  OPS.paintImageMaskXObject,
+]);
+
+class ReflowBuilder {
+  constructor(options = {}) {
+    this.analyzer = new TextLayoutAnalyzer();
+    this.minFigureArea = options.minFigureArea ?? 0.02; // Fraction of the page area
+  }
+
+  async build(pdfDoc, pageNumbers, renderFigure) {
+    const pages = await this.analyzer.analyzeDocument(pdfDoc, pageNumbers);
+    const bodySize = this.analyzer.getBodyFontSize(pages);
+    const blocks = [];
+    const figures = [];
+
+    for (const layout of pages) {
+      const { pageNumber } = layout;
+      const page = await pdfDoc.getPage(pageNumber);
+      const lines = layout.lines.filter((line) => !this.isPageFurniture(line, layout));
+      const figureRects = await this.findFigures(page, layout, lines.length > 0);
+
+      let figureIndex = 0;
+      const flushFigures = (aboveY) => {
+        while (figureIndex < figureRects.length && figureRects[figureIndex].top >= aboveY) {
+          blocks.push({ type: "figure", rect: figureRects[figureIndex], pageNumber });
+          figureIndex++;
+        }
+      };
+
+      let paragraph = null;
+      for (const [i, line] of lines.entries()) {
+        flushFigures(line.y + line.fontSize);
+
+        const level = this.getHeadingLevel(line, bodySize);
+        if (level) {
+          paragraph = null;
+          blocks.push({ type: "heading", level, spans: line.spans, text: line.text, pageNumber });
+          continue;
+        }
+
+        const previous = lines[i - 1];
+        if (paragraph && previous && !this.startsParagraph(line, previous, bodySize)) {
+          this.appendLine(paragraph, line);
+        } else if (i === 0 && this.continuesAcrossPages(blocks, line)) {
+          paragraph = blocks[blocks.length - 1];
+          this.appendLine(paragraph, line);
+        } else {
+          paragraph = { type: "paragraph", spans: line.spans.map((s) => ({ ...s })), pageNumber };
+          blocks.push(paragraph);
+        }
+      }
+      flushFigures(-Infinity);
+    }
+
+    for (const block of blocks.filter((b) => b.type === "figure")) {
+      block.image = await renderFigure(block.pageNumber, block.rect, figures.length + 1);
+      figures.push(block.image);
+    }
+
+    return { chapters: this.splitChapters(blocks), figures };
+  }
+
+  buildFromText(pageTexts, pageNumbers) {
+    // OCR output has no font information, so only paragraphs can be recovered
+    const blocks = [];
+    pageTexts.forEach((text, i) => {
+      const pageNumber = pageNumbers[i];
+      for (const chunk of (text || "").split(/\n\s*\n/)) {
+        const lines = chunk
+          .split("\n")
+          .map((line) => line.trim())
+          .filter(Boolean);
+        if (lines.length === 0) continue;
+        const paragraph = { type: "paragraph", spans: [], pageNumber };
+        lines.forEach((line) => this.appendLine(paragraph, { spans: [{ text: line }] }));
+        blocks.push(paragraph);
+      }
+    });
+    return { chapters: this.splitChapters(blocks), figures: [] };
+  }
+
+  getHeadingLevel(line, bodySize) {
+    if (line.text.length > 120 || !/[\p{L}\p{N}]/u.test(line.text)) return 0;
+    const ratio = line.fontSize / bodySize;
+    if (ratio >= 1.6) return 1;
+    if (ratio >= 1.3) return 2;
+    if (ratio >= 1.15) return 3;
+    // Short bold lines at body size are usually run-in section titles
+    if (line.bold && line.text.length < 80 && !/[.,;]$/.test(line.text)) return 4;
+    return 0;
+  }
+
+  startsParagraph(line, previous, bodySize) {
+    const gap = previous.y - line.y;
+    if (gap > Math.max(previous.fontSize, line.fontSize) * 1.8) return true;
+    // First-line indent
+    if (line.x - previous.x > bodySize * 1.5) return true;
+    // A short line ending a sentence closes the paragraph
+    return /[.!?:"”]$/.test(previous.text) && previous.right < line.right - bodySize * 4;
+  }
+
+  continuesAcrossPages(blocks, line) {
+    const last = blocks[blocks.length - 1];
+    if (!last || last.type !== "paragraph") return false;
+    const lastText = last.spans[last.spans.length - 1]?.text.trim() || "";
+    return !/[.!?:"”]$/.test(lastText) && /^\p{Ll}/u.test(line.text);
+  }
+
+  appendLine(paragraph, line) {
+    const spans = line.spans.map((s) => ({ ...s }));
+    const last = paragraph.spans[paragraph.spans.length - 1];
+    if (last) {
+      // Join hyphenated words split across lines
+      if (/\p{L}-$/u.test(last.text) && /^\p{Ll}/u.test(spans[0]?.text || "")) {
+        last.text = last.text.slice(0, -1);
+      } else {
+        last.text = last.text.replace(/\s+$/, "") + " ";
+      }
+    }
+    for (const span of spans) {
+      const tail = paragraph.spans[paragraph.spans.length - 1];
+      if (tail && tail.bold === span.bold && tail.italic === span.italic) {
+        tail.text += span.text;
+      } else {
+        paragraph.spans.push(span);
+      }
+    }
+  }
+
+  isPageFurniture(line, layout) {
+    // Running page numbers in the top or bottom margin
+    const inMargin = line.y < layout.height * 0.08 || line.y > layout.height * 0.94;
+    return inMargin && /^(page\s*)?[\divxlc]+(\s*(of|\/)\s*\d+)?$/i.test(line.text);
+  }
+
+  async findFigures(page, layout, hasText) {
+    let operatorList;
+    try {
+      operatorList = await page.getOperatorList();
+    } catch (error) {
+      console.warn(`Could not read images on page ${layout.pageNumber}:`, error.message);
+      return [];
+    }
+
+    const [x0, y0] = page.view;
+    const pageArea = layout.width * layout.height;
+    const rects = [];
+    const stack = [];
+    let ctm = [1, 0, 0, 1, 0, 0];
+
+    operatorList.fnArray.forEach((fn, i) => {
+      const args = operatorList.argsArray[i];
+      if (fn === OPS.save) {
+        stack.push(ctm);
+      } else if (fn === OPS.restore) {
+        ctm = stack.pop() || ctm;
+      } else if (fn === OPS.transform) {
+        ctm = Util.transform(ctm, args);
+      } else if (fn === OPS.paintFormXObjectBegin) {
+        stack.push(ctm);
+        if (Array.isArray(args?.[0])) ctm = Util.transform(ctm, args[0]);
+      } else if (fn === OPS.paintFormXObjectEnd) {
+        ctm = stack.pop() || ctm;
+      } else if (IMAGE_OPS.has(fn)) {
+        // Images are drawn into the unit square of the current transform
+        const corners = [
+          [0, 0],
+          [1, 0],
+          [0, 1],
+          [1, 1],
+        ].map(([x, y]) => [ctm[0] * x + ctm[2] * y + ctm[4], ctm[1] * x + ctm[3] * y + ctm[5]]);
+        const xs = corners.map((p) => p[0] - x0);
+        const ys = corners.map((p) => p[1] - y0);
+        const left = Math.max(0, Math.min(...xs));
+        const right = Math.min(layout.width, Math.max(...xs));
+        const bottom = Math.max(0, Math.min(...ys));
+        const top = Math.min(layout.height, Math.max(...ys));
+        rects.push({ left, top, width: right - left, height: top - bottom });
+      }
+    });
+
+    return rects
+      .filter((rect) => rect.width > 0 && rect.height > 0)
+      .filter((rect) => {
+        const coverage = (rect.width * rect.height) / pageArea;
+        // Full-page images behind real text are backgrounds, not figures
+        return coverage >= this.minFigureArea && !(hasText && coverage > 0.9);
+      })
+      .sort((a, b) => b.top - a.top);
+  }
+
+  splitChapters(blocks) {
+    const levels = blocks.filter((b) => b.type === "heading").map((b) => b.level);
+    const splitLevel = levels.length > 0 ? Math.min(...levels) : 0;
+    const chapters = [];
+    let chapter = null;
+
+    for (const block of blocks) {
+      const startsChapter = block.type === "heading" && block.level === splitLevel;
+      if (!chapter || (startsChapter && chapter.blocks.length > 0)) {
+        const number = String(chapters.length + 1).padStart(3, "0");
+        chapter = {
+          id: `chapter_${number}`,
+          href: `text/chapter_${number}.xhtml`,
+          title: null,
+          startPage: block.pageNumber,
+          blocks: [],
+        };
+        chapters.push(chapter);
+      }
+      if (startsChapter && !chapter.title) chapter.title = block.text;
+      if (block.type === "heading") {
+        // The chapter-level heading becomes h1 and the rest follow relative to it
+        block.level = Math.min(6, block.level - splitLevel + 1);
+      }
+      chapter.blocks.push(block);
+    }
+
+    chapters.forEach((ch, i) => {
+      ch.title = ch.title || (i === 0 ? null : `Section ${i + 1}`);
+    });
+    return chapters;
+  }
+}
+
+export { ReflowBuilder };
@@ -0,0 +1,114 @@
+import { Worker } from "worker_threads";
+import { fileURLToPath } from "url";
+import os from "os";
+
+// Worker scripts and their imports cannot load from inside the asar archive, so builds unpack them
+const WORKER_PATH = fileURLToPath(new URL("./render-worker.js", import.meta.url)).replace(
+  /app\.asar(?!\.unpacked)/,
+  "app.asar.unpacked"
+);
+const IDLE_TIMEOUT = 30 * 1000;
+
+class RenderPool {
+  constructor({ maxWorkers = os.cpus().length } = {}) {
+    this.maxWorkers = Math.max(1, maxWorkers);
+    this.workers = [];
+    this.queue = [];
+    this.nextId = 1;
+    this.closed = false;
+  }
+
+  run(task, { signal } = {}) {
+    if (this.closed) return Promise.reject(new Error("Render pool has been shut down"));
+    if (signal?.aborted) return Promise.reject(signal.reason);
+
+    return new Promise((resolve, reject) => {
+      const entry = { id: this.nextId++, task, resolve, reject, release: () => {} };
+      if (signal) {
+        // Only pages still waiting are dropped; a page already rendering runs to the end
+        const onAbort = () => {
+          const index = this.queue.indexOf(entry);
+          if (index === -1) return;
+          this.queue.splice(index, 1);
+          reject(signal.reason);
+        };
+        signal.addEventListener("abort", onAbort, { once: true });
+        entry.release = () => signal.removeEventListener("abort", onAbort);
+      }
+      this.queue.push(entry);
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      let slot = this.workers.find((s) => !s.entry);
+      if (!slot) {
+        if (this.workers.length >= this.maxWorkers) return;
+        slot = this.createWorker();
+      }
+      const entry = this.queue.shift();
+      clearTimeout(slot.idleTimer);
+      slot.entry = entry;
+      slot.worker.ref();
+      slot.worker.postMessage({ id: entry.id, task: entry.task });
+    }
+  }
+
+  createWorker() {
+    const slot = { worker: new Worker(WORKER_PATH), entry: null, idleTimer: null };
+
+    slot.worker.on("message", ({ id, result, error }) => {
+      const entry = slot.entry;
+      if (!entry || entry.id !== id) return;
+      slot.entry = null;
+      entry.release();
+      if (error) entry.reject(new Error(error));
+      else entry.resolve(result);
+
+      // Idle workers neither keep the app alive nor hold on to memory for long
+      slot.worker.unref();
+      slot.idleTimer = setTimeout(() => this.removeWorker(slot), IDLE_TIMEOUT);
+      slot.idleTimer.unref();
+      this.dispatch();
+    });
+
+    // A crashed worker fails only the page it was rendering
+    slot.worker.on("error", (error) => this.removeWorker(slot, error));
+    slot.worker.on("exit", (code) => {
+      if (this.workers.includes(slot)) {
+        this.removeWorker(slot, new Error(`Render worker exited with code ${code}`));
+      }
+    });
+
+    this.workers.push(slot);
+    return slot;
+  }
+
+  removeWorker(slot, error = null) {
+    const index = this.workers.indexOf(slot);
+    if (index === -1) return Promise.resolve();
+    this.workers.splice(index, 1);
+    clearTimeout(slot.idleTimer);
+
+    if (slot.entry) {
+      slot.entry.release();
+      slot.entry.reject(error || new Error("Render worker stopped"));
+      slot.entry = null;
+    }
+    const terminated = slot.worker.terminate().catch(() => {});
+    this.dispatch();
+    return terminated;
+  }
+
+  async shutdown() {
+    this.closed = true;
+    for (const entry of this.queue.splice(0)) {
+      entry.release();
+      entry.reject(new Error("Render pool has been shut down"));
+    }
+    await Promise.all([...this.workers].map((slot) => this.removeWorker(slot)));
+  }
+}
+
+export { RenderPool };
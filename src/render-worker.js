@@ -0,0 +1,105 @@
+import "./polyfills.js"; // pdfjs needs the same environment here as on the main thread
+import { parentPort } from "worker_threads";
+import sharp from "sharp";
+import { PDFRenderers } from "./pdf-renderers.js";
+
+const renderers = new PDFRenderers();
+
+// Rasterizes one page per message, off the Electron main thread. Tasks with an output path
+// are encoded to JPEG there, measured tasks only report the JPEG size, and the rest come
+// back as PNG data.
+async function renderPage({
+  renderer,
+  pdfPath,
+  password,
+  pageIndex,
+  density,
+  rect,
+  crop,
+  rotate = 0,
+  outputPath,
+  measure = false,
+  grayscale,
+  maxWidth,
+  maxHeight = null,
+  quality,
+}) {
+  let sharpInstance = await renderers.render(renderer, { pdfPath, pageIndex, density, password });
+
+  if (rect) {
+    // Figure rectangles are in PDF units with the origin at the bottom left
+    const scale = density / 72;
+    const { width, height } = await sharpInstance.metadata();
+    const left = Math.max(0, Math.floor(rect.left * scale));
+    const top = Math.max(0, Math.floor(height - rect.top * scale));
+    sharpInstance = sharpInstance.extract({
+      left,
+      top,
+      width: Math.max(1, Math.min(width - left, Math.ceil(rect.width * scale))),
+      height: Math.max(1, Math.min(height - top, Math.ceil(rect.height * scale))),
+    });
+  }
+
+  if (crop) {
+    // Margin crops are fractions of the rendered page
+    const { width, height } = await sharpInstance.metadata();
+    const left = Math.floor(crop.left * width);
+    const top = Math.floor(crop.top * height);
+    sharpInstance = sharpInstance.extract({
+      left,
+      top,
+      width: Math.max(1, Math.min(width - left, Math.round(crop.width * width))),
+      height: Math.max(1, Math.min(height - top, Math.round(crop.height * height))),
+    });
+  }
+
+  if (rotate) {
+    // sharp reorders rotate, extract and resize in one pipeline, so the turned piece is
+    // finished before it is encoded
+    const { data, info } = await sharpInstance
+      .rotate(rotate)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    sharpInstance = sharp(data, {
+      raw: { width: info.width, height: info.height, channels: info.channels },
+    });
+  }
+
+  if (!outputPath && !measure) {
+    const data = await sharpInstance.png().toBuffer();
+    return { data };
+  }
+
+  if (grayscale) {
+    sharpInstance = sharpInstance.grayscale();
+  }
+
+  const encoded = sharpInstance
+    .resize(maxWidth, maxHeight, {
+      withoutEnlargement: true,
+      fit: "inside",
+    })
+    .jpeg({
+      quality,
+      progressive: true,
+      optimizeScans: true,
+      mozjpeg: true,
+    });
+
+  // Size estimates only need to know how big the page would be
+  if (measure) {
+    const { info } = await encoded.toBuffer({ resolveWithObject: true });
+    return { width: info.width, height: info.height, size: info.size };
+  }
+
+  const info = await encoded.toFile(outputPath);
+  return { width: info.width, height: info.height };
+}
+
+parentPort.on("message", async ({ id, task }) => {
+  try {
+    parentPort.postMessage({ id, result: await renderPage(task) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
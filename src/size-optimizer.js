@@ -0,0 +1,102 @@
+// Pages measured per estimate, spread evenly through the book
+const SAMPLE_PAGES = 5;
+// Room left for markup, stylesheets, the container and estimation error
+const SAFETY_MARGIN = 0.95;
+const OVERHEAD_BASE = 64 * 1024;
+const OVERHEAD_PER_PAGE = 2 * 1024;
+const MIN_DENSITY = 36;
+
+class SizeOptimizer {
+  // Image settings from best to smallest, each rung smaller than the one before
+  buildLadder(quality, grayscale) {
+    const rungs = [];
+    let rung = { quality, scale: 1, grayscale };
+    const push = (changes) => {
+      rung = { ...rung, ...changes };
+      rungs.push(rung);
+    };
+
+    push({});
+    // Down to 60 quality costs little that shows on e-ink, so it goes first
+    for (let q = quality - 10; q > 60; q -= 10) push({ quality: q });
+    if (rung.quality > 60) push({ quality: 60 });
+    if (!grayscale) push({ grayscale: true });
+    for (const scale of [0.85, 0.7, 0.55]) push({ scale });
+    for (const q of [50, 40]) if (q < rung.quality) push({ quality: q });
+    return rungs;
+  }
+
+  sampleIndexes(pieceCount) {
+    const count = Math.min(SAMPLE_PAGES, pieceCount);
+    const step = pieceCount / count;
+    return Array.from({ length: count }, (_, i) => Math.floor(i * step + step / 2));
+  }
+
+  // measure(rung) resolves to the average encoded size of the sample pages
+  async fit({ ladder, measure, pieceCount, targetBytes }) {
+    const plan = { ladder, measure, pieceCount, targetBytes, calibration: 1, estimates: new Map() };
+    return this.search(plan, 0);
+  }
+
+  // Moves further down the ladder after the packaged book came out at actualBytes
+  async refit(plan, actualBytes) {
+    if (plan.index >= plan.ladder.length - 1) return null;
+    // The real file is the better measure, so later estimates are scaled to match it
+    return this.search({ ...plan, calibration: actualBytes / plan.rawEstimate }, plan.index + 1);
+  }
+
+  async search(plan, from) {
+    const budget = plan.targetBytes * SAFETY_MARGIN;
+    const estimate = async (index) => {
+      if (!plan.estimates.has(index)) {
+        const pageBytes = await plan.measure(plan.ladder[index]);
+        plan.estimates.set(
+          index,
+          (pageBytes + OVERHEAD_PER_PAGE) * plan.pieceCount + OVERHEAD_BASE
+        );
+      }
+      return plan.estimates.get(index) * plan.calibration;
+    };
+
+    // Most books fit at the first rung or not at all, so both ends are tried before bisecting
+    const last = plan.ladder.length - 1;
+    let index;
+    if ((await estimate(from)) <= budget) {
+      index = from;
+    } else if ((await estimate(last)) > budget) {
+      index = last;
+    } else {
+      let low = from + 1;
+      let high = last;
+      while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if ((await estimate(mid)) <= budget) high = mid;
+        else low = mid + 1;
+      }
+      index = low;
+    }
+
+    return {
+      ...plan,
+      index,
+      rung: plan.ladder[index],
+      estimate: await estimate(index),
+      rawEstimate: plan.estimates.get(index),
+    };
+  }
+
+  // Applies a rung to one page render task
+  apply(render, rung) {
+    if (!rung) return render;
+    return {
+      ...render,
+      density: Math.max(MIN_DENSITY, Math.ceil(render.density * rung.scale)),
+      maxWidth: render.maxWidth && Math.round(render.maxWidth * rung.scale),
+      maxHeight: render.maxHeight && Math.round(render.maxHeight * rung.scale),
+      quality: rung.quality,
+      grayscale: rung.grayscale,
+    };
+  }
+}
+
+export { SizeOptimizer };
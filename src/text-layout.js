@@ -0,0 +1,162 @@
+class TextLayoutAnalyzer {
+  constructor(options = {}) {
+    // Resolving real font names needs the page operator list, which is slower
+    this.resolveFonts = options.resolveFonts !== false;
+  }
+
+  async analyzeDocument(pdfDoc, pageNumbers = null) {
+    const numbers = pageNumbers || Array.from({ length: pdfDoc.numPages }, (_, i) => i + 1);
+    const pages = [];
+    for (const pageNumber of numbers) {
+      const page = await pdfDoc.getPage(pageNumber);
+      pages.push(await this.analyzePage(page, pageNumber));
+    }
+    return pages;
+  }
+
+  async analyzePage(page, pageNumber = page.pageNumber) {
+    const textContent = await page.getTextContent();
+    const [x0, y0, x1, y1] = page.view;
+
+    const fonts = {};
+    if (this.resolveFonts) {
+      try {
+        await page.getOperatorList();
+      } catch (error) {
+        console.warn(`Could not load fonts for page ${pageNumber}:`, error.message);
+      }
+    }
+    for (const [id, style] of Object.entries(textContent.styles || {})) {
+      fonts[id] = this.describeFont(page, id, style);
+    }
+
+    const items = textContent.items
+      .filter((item) => item.str !== undefined && item.str.trim() !== "")
+      .map((item) => {
+        const [, , c, d, x, y] = item.transform;
+        const font = fonts[item.fontName] || {};
+        return {
+          text: item.str,
+          x: x - x0,
+          y: y - y0,
+          width: item.width,
+          fontSize: Math.round(Math.hypot(c, d) * 10) / 10 || item.height,
+          fontName: font.name || item.fontName,
+          bold: !!font.bold,
+          italic: !!font.italic,
+        };
+      });
+
+    return {
+      pageNumber,
+      width: x1 - x0,
+      height: y1 - y0,
+      lines: this.groupLines(items),
+    };
+  }
+
+  describeFont(page, id, style) {
+    let font = null;
+    if (this.resolveFonts && page.commonObjs.has(id)) {
+      font = page.commonObjs.get(id);
+    }
+    const name = font?.name || style.fontFamily || id;
+    return {
+      name,
+      bold: !!(font?.bold || font?.black) || /bold|black|heavy|semibold/i.test(name),
+      italic: !!font?.italic || /italic|oblique/i.test(name),
+    };
+  }
+
+  groupLines(items) {
+    // PDF coordinates grow upwards, so reading order is descending y
+    const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+    const lines = [];
+
+    for (const item of sorted) {
+      const line = lines[lines.length - 1];
+      if (line && Math.abs(line.y - item.y) < Math.max(line.fontSize, item.fontSize) * 0.5) {
+        line.items.push(item);
+        line.fontSize = Math.max(line.fontSize, item.fontSize);
+      } else {
+        lines.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+      }
+    }
+
+    return lines.map((line, i) => {
+      line.items.sort((a, b) => a.x - b.x);
+      const spans = this.buildSpans(line.items);
+      const text = spans.map((span) => span.text).join("");
+      const boldChars = line.items
+        .filter((item) => item.bold)
+        .reduce((n, it) => n + it.text.length, 0);
+      const italicChars = line.items
+        .filter((item) => item.italic)
+        .reduce((n, it) => n + it.text.length, 0);
+      const totalChars = line.items.reduce((n, item) => n + item.text.length, 0) || 1;
+      const first = line.items[0];
+      const last = line.items[line.items.length - 1];
+
+      return {
+        text: text.trim(),
+        spans,
+        x: first.x,
+        right: last.x + last.width,
+        y: line.y,
+        fontSize: line.fontSize,
+        bold: boldChars / totalChars > 0.6,
+        italic: italicChars / totalChars > 0.6,
+        gapAbove: i === 0 ? null : lines[i - 1].y - line.y,
+      };
+    });
+  }
+
+  buildSpans(items) {
+    const spans = [];
+    let previous = null;
+
+    for (const item of items) {
+      let text = item.text;
+      // Insert a space where pdfjs split words into separate items without one
+      if (
+        previous &&
+        !/\s$/.test(previous.text) &&
+        !/^\s/.test(text) &&
+        item.x - (previous.x + previous.width) > item.fontSize * 0.15
+      ) {
+        text = " " + text;
+      }
+
+      const span = spans[spans.length - 1];
+      if (span && span.bold === item.bold && span.italic === item.italic) {
+        span.text += text;
+      } else {
+        spans.push({ text, bold: item.bold, italic: item.italic });
+      }
+      previous = item;
+    }
+
+    return spans;
+  }
+
+  getBodyFontSize(pages) {
+    // The most common size, weighted by character count, is the body text size
+    const counts = new Map();
+    for (const page of pages) {
+      for (const line of page.lines) {
+        counts.set(line.fontSize, (counts.get(line.fontSize) || 0) + line.text.length);
+      }
+    }
+    let bodySize = 0;
+    let bestCount = -1;
+    for (const [size, count] of counts) {
+      if (count > bestCount) {
+        bodySize = size;
+        bestCount = count;
+      }
+    }
+    return bodySize || 12;
+  }
+}
+
+export { TextLayoutAnalyzer };